@@ -0,0 +1,81 @@
+/**
+ * Access - Tool allow/deny list matching
+ *
+ * Entries in allowList/denyList are either:
+ * - A tool name or glob (e.g. "inboxd", "git-*")
+ * - A domain-qualified entry "domain:name" where either side may be a glob
+ *   (e.g. "email:*" denies every tool in the email domain)
+ */
+
+/**
+ * Convert a glob pattern to a RegExp
+ * Supports `*` (any run of characters) and `?` (single character)
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Anchored, case-sensitive regular expression
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check if a tool matches a single allow/deny entry
+ *
+ * @param {string} entry - Tool name, glob, or "domain:name" entry
+ * @param {{ name: string, domain: string }} tool - Tool manifest
+ * @returns {boolean}
+ */
+export function matchesToolEntry(entry, tool) {
+  if (typeof entry !== 'string' || !entry) {
+    return false;
+  }
+
+  const separator = entry.indexOf(':');
+
+  if (separator === -1) {
+    return globToRegExp(entry).test(tool.name);
+  }
+
+  const domainPattern = entry.slice(0, separator);
+  const namePattern = entry.slice(separator + 1) || '*';
+
+  return globToRegExp(domainPattern).test(tool.domain || '') &&
+    globToRegExp(namePattern).test(tool.name);
+}
+
+/**
+ * Check if a tool is permitted by allow/deny lists
+ * Deny entries always win over allow entries.
+ *
+ * @param {{ name: string, domain: string }} tool - Tool manifest
+ * @param {Object} lists - Access lists
+ * @param {string[]|null} lists.allowList - null allows every tool
+ * @param {string[]} lists.denyList - Entries to explicitly deny
+ * @returns {boolean}
+ */
+export function isToolAllowed(tool, { allowList = null, denyList = [] } = {}) {
+  if ((denyList || []).some(entry => matchesToolEntry(entry, tool))) {
+    return false;
+  }
+
+  if (allowList === null || allowList === undefined) {
+    return true;
+  }
+
+  return allowList.some(entry => matchesToolEntry(entry, tool));
+}
+
+export default {
+  globToRegExp,
+  matchesToolEntry,
+  isToolAllowed
+};
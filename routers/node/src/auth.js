@@ -0,0 +1,175 @@
+/**
+ * Auth - Bearer tokens, client scopes and CORS origins for the HTTP server
+ *
+ * Tokens come from the `authTokens` config list and the JSON file named by
+ * `authTokensFile` (a list in the same format):
+ *
+ *   {
+ *     "name": "editor-plugin",              // shown in errors
+ *     "token": "…",                         // sent as Authorization: Bearer …
+ *     "scopes": {
+ *       "methods": ["cmp.domains", "cmp.intent", "cmp.schema"],  // names or globs
+ *       "tools": ["email:*", "git"]         // allowList-style tool entries
+ *     }
+ *   }
+ *
+ * A missing scope list leaves that dimension unrestricted. With no tokens
+ * configured the server does not authenticate.
+ *
+ * Browsers may only call the server from `corsOrigins`. Requests carrying
+ * any other Origin header are rejected outright: a page can send a simple
+ * POST without a preflight, so withholding CORS headers alone would not stop
+ * it from running intents.
+ */
+
+import { readFileSync } from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+import { globToRegExp, isToolAllowed } from './access.js';
+
+/**
+ * Load the configured clients from `authTokens` and `authTokensFile`
+ *
+ * @param {Object} config - Router configuration
+ * @returns {Array<{ name: string, token: string, scopes: Object }>} Clients
+ * @throws {Error} If the tokens file cannot be read or parsed
+ */
+export function loadTokens(config = {}) {
+  const entries = [...(config.authTokens || [])];
+
+  if (config.authTokensFile) {
+    let fileTokens;
+    try {
+      fileTokens = JSON.parse(readFileSync(config.authTokensFile, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Failed to load tokens from ${config.authTokensFile}: ${err.message}`);
+    }
+
+    const errors = validateTokens(fileTokens, 'authTokensFile');
+    if (errors.length > 0) {
+      throw new Error(`Invalid tokens in ${config.authTokensFile}: ${errors.join('; ')}`);
+    }
+
+    entries.push(...fileTokens);
+  }
+
+  return entries.map((entry, index) => ({
+    name: entry.name || `token-${index + 1}`,
+    token: entry.token,
+    scopes: entry.scopes || {}
+  }));
+}
+
+/**
+ * Hash a token so comparisons take the same time for any length
+ */
+const digest = token => createHash('sha256').update(String(token)).digest();
+
+/**
+ * Find the client for an Authorization header
+ *
+ * @param {string|undefined} header - Authorization header value
+ * @param {Array} clients - Clients from loadTokens()
+ * @returns {Object|null} The matching client, or null
+ */
+export function authenticate(header, clients) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header || '');
+  if (!match) {
+    return null;
+  }
+
+  const presented = digest(match[1]);
+  let found = null;
+
+  // Compare against every token so timing doesn't reveal which one matched
+  for (const client of clients) {
+    if (timingSafeEqual(presented, digest(client.token)) && !found) {
+      found = client;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Check if a browser origin may call the server
+ *
+ * @param {string} origin - Origin header value
+ * @param {string[]} origins - Allowed origins; "*" allows any
+ * @returns {boolean}
+ */
+export function isOriginAllowed(origin, origins = []) {
+  return (origins || []).some(entry => entry === '*' || entry === origin);
+}
+
+/**
+ * Check if a client's scopes permit a JSON-RPC method
+ */
+export function isMethodPermitted(client, method) {
+  const methods = client?.scopes?.methods;
+  return !methods || methods.some(pattern => globToRegExp(pattern).test(method));
+}
+
+/**
+ * Check if a client's scopes permit a tool
+ */
+export function isToolPermitted(client, tool) {
+  const tools = client?.scopes?.tools;
+  return !tools || isToolAllowed(tool, { allowList: tools });
+}
+
+/**
+ * Validate a list of token entries
+ *
+ * @param {Array} tokens - Token entries
+ * @param {string} path - Path used in messages
+ * @returns {string[]} Error messages
+ */
+export function validateTokens(tokens, path = 'authTokens') {
+  if (!Array.isArray(tokens)) {
+    return [`${path} must be an array of tokens`];
+  }
+
+  const errors = [];
+  const isStringList = value => Array.isArray(value) &&
+    value.every(item => typeof item === 'string' && item.length > 0);
+
+  tokens.forEach((entry, index) => {
+    const at = `${path}[${index}]`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+
+    if (typeof entry.token !== 'string' || entry.token.length < 16) {
+      errors.push(`${at}.token must be a string of at least 16 characters`);
+    }
+
+    if (entry.name !== undefined && (typeof entry.name !== 'string' || !entry.name)) {
+      errors.push(`${at}.name must be a non-empty string`);
+    }
+
+    if (entry.scopes === undefined) return;
+
+    if (!entry.scopes || typeof entry.scopes !== 'object' || Array.isArray(entry.scopes)) {
+      errors.push(`${at}.scopes must be an object`);
+      return;
+    }
+
+    for (const key of ['methods', 'tools']) {
+      if (entry.scopes[key] !== undefined && !isStringList(entry.scopes[key])) {
+        errors.push(`${at}.scopes.${key} must be an array of ${key === 'methods' ? 'method names' : 'tool names'}`);
+      }
+    }
+
+    for (const key of Object.keys(entry.scopes)) {
+      if (key !== 'methods' && key !== 'tools') {
+        errors.push(`${at}.scopes.${key} is not a known scope (methods, tools)`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+export default authenticate;
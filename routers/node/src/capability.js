@@ -0,0 +1,167 @@
+/**
+ * Capability - Load capability.json and the files it includes
+ *
+ * Large tools can split their intents across files with `include`, a list
+ * of paths or globs relative to the cmp directory:
+ *
+ *   { "include": ["capabilities/*.json"], "intents": [...] }
+ *
+ * Each included file holds `{ "intents": [...] }`. Its intents are merged
+ * after capability.json's own, in include order (glob matches sorted by
+ * path). Included files cannot include other files.
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { isAbsolute, join } from 'path';
+import { globToRegExp } from './access.js';
+
+export const CAPABILITY_FILE = 'capability.json';
+
+/**
+ * Capability files that failed to load, with one error per file
+ */
+export class CapabilityLoadError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'CapabilityLoadError';
+    this.errors = errors;
+  }
+}
+
+const hasWildcard = pattern => /[*?]/.test(pattern);
+
+/**
+ * Expand an include pattern to existing files
+ * Wildcards match within a single path segment.
+ *
+ * @param {string} dir - The cmp directory
+ * @param {string} pattern - Path or glob relative to dir
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+export async function expandInclude(dir, pattern) {
+  const segments = pattern.split('/').filter(segment => segment && segment !== '.');
+  let paths = [''];
+
+  for (const [index, segment] of segments.entries()) {
+    const last = index === segments.length - 1;
+    const next = [];
+
+    for (const base of paths) {
+      if (!hasWildcard(segment)) {
+        next.push(base ? `${base}/${segment}` : segment);
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = await readdir(join(dir, base), { withFileTypes: true });
+      } catch {
+        continue;
+      }
+
+      const regex = globToRegExp(segment);
+      for (const entry of entries) {
+        if (regex.test(entry.name) && (last ? entry.isFile() : entry.isDirectory())) {
+          next.push(base ? `${base}/${entry.name}` : entry.name);
+        }
+      }
+    }
+
+    paths = next;
+  }
+
+  return paths.filter(path => existsSync(join(dir, path))).sort();
+}
+
+/**
+ * Read capability.json and every file it includes, without merging
+ *
+ * @param {string} dir - The cmp directory
+ * @returns {Promise<{ files: Map<string, *>, errors: Array<{ file: string, message: string }> }>}
+ *   Parsed content by relative path (undefined when unreadable) and
+ *   per-file errors
+ */
+export async function readCapabilityFiles(dir) {
+  const files = new Map();
+  const errors = [];
+
+  const read = async file => {
+    try {
+      return JSON.parse(await readFile(join(dir, file), 'utf-8'));
+    } catch (err) {
+      errors.push({ file, message: `Failed to parse ${file}: ${err.message}` });
+      return undefined;
+    }
+  };
+
+  const root = await read(CAPABILITY_FILE);
+  files.set(CAPABILITY_FILE, root);
+
+  if (root?.include === undefined) {
+    return { files, errors };
+  }
+
+  if (!Array.isArray(root.include) ||
+      !root.include.every(pattern => typeof pattern === 'string' && pattern.length > 0)) {
+    errors.push({ file: CAPABILITY_FILE, message: 'include must be an array of paths or globs' });
+    return { files, errors };
+  }
+
+  for (const pattern of root.include) {
+    if (isAbsolute(pattern) || pattern.split('/').includes('..')) {
+      errors.push({ file: CAPABILITY_FILE, message: `include '${pattern}' must be inside the cmp directory` });
+      continue;
+    }
+
+    const matches = await expandInclude(dir, pattern);
+
+    // A glob may legitimately match nothing; a literal path must exist
+    if (matches.length === 0 && !hasWildcard(pattern)) {
+      errors.push({ file: pattern, message: `Included file not found: ${pattern}` });
+    }
+
+    for (const file of matches) {
+      if (files.has(file)) continue;
+      files.set(file, await read(file));
+    }
+  }
+
+  return { files, errors };
+}
+
+/**
+ * Load a capability with its included intents merged in
+ *
+ * @param {string} dir - The cmp directory
+ * @returns {Promise<Object>} Capability without `include`
+ * @throws {CapabilityLoadError} If any file is unreadable or malformed
+ */
+export async function loadCapabilityFiles(dir) {
+  const { files, errors } = await readCapabilityFiles(dir);
+  const { include: _include, ...capability } = files.get(CAPABILITY_FILE) || {};
+  const intents = [...(capability.intents || [])];
+
+  for (const [file, content] of files) {
+    if (file === CAPABILITY_FILE || content === undefined) continue;
+
+    if (!content || !Array.isArray(content.intents)) {
+      errors.push({ file, message: "Required field 'intents' must be an array" });
+    } else if (content.include !== undefined) {
+      errors.push({ file, message: 'Included files cannot include other files' });
+    } else {
+      intents.push(...content.intents);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new CapabilityLoadError(
+      `Invalid capability files: ${errors.map(e => `${e.file}: ${e.message}`).join('; ')}`,
+      errors
+    );
+  }
+
+  return { ...capability, intents };
+}
+
+export default loadCapabilityFiles;
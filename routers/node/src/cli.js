@@ -8,9 +8,12 @@ import { Router } from './index.js';
 import { createServer } from './server.js';
 import { createSocketServer } from './socket-server.js';
 import { createStdioServer } from './stdio-server.js';
-import { loadConfig } from './config.js';
+import { loadConfig, validateConfig } from './config.js';
+import { validateTool } from './linter.js';
+import { toolId } from './registry.js';
+import { testTool, formatTap, formatJUnit } from './tester.js';
 import { readFile, writeFile, mkdir } from 'fs/promises';
-import { join } from 'path';
+import { basename, dirname, join, resolve } from 'path';
 import { homedir } from 'os';
 import { existsSync } from 'fs';
 
@@ -43,8 +46,24 @@ async function main() {
       await executeIntent(args.slice(1));
       break;
 
+    case 'explain':
+      await explainIntent(args.slice(1));
+      break;
+
     case 'context':
-      await showContext();
+      await showContext(args.slice(1));
+      break;
+
+    case 'doctor':
+      await doctor(args.slice(1));
+      break;
+
+    case 'validate':
+      await validate(args.slice(1));
+      break;
+
+    case 'test':
+      await test(args.slice(1));
       break;
 
     case 'init':
@@ -84,11 +103,20 @@ async function serve(args) {
   }
 
   // Load config and merge with flags
-  const config = loadConfig();
+  const config = loadValidConfig();
   const port = flags.port || config.httpPort;
   const socketPath = flags.socketPath || config.socketPath;
 
-  const router = await new Router().init();
+  const router = await createRouter(config);
+
+  // Stop running commands before exiting: they run in their own process
+  // groups, so they would otherwise be left behind
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await router.close();
+      process.kill(process.pid, signal);
+    });
+  }
 
   // Enable hot reload if requested
   if (flags.hotReload) {
@@ -116,8 +144,8 @@ async function serve(args) {
   } else {
     // Default: HTTP server
     const server = createServer(router);
-    server.listen(port, () => {
-      console.log(`CMP Router listening on http://localhost:${port}`);
+    server.listen(port, config.httpHost, () => {
+      console.log(`CMP Router listening on http://${config.httpHost}:${port}`);
       console.log(`Registered ${router.registry.tools.size} tools`);
       console.log(`Domains: ${router.registry.getDomains().join(', ')}`);
       if (flags.hotReload) {
@@ -127,24 +155,57 @@ async function serve(args) {
   }
 }
 
+/**
+ * Load the configuration, exiting with its errors if it is invalid, so a
+ * mistyped policy or sandbox rule can't be silently ignored
+ */
+function loadValidConfig() {
+  const config = loadConfig();
+  const { valid, errors } = validateConfig(config);
+
+  if (!valid) {
+    console.error('Invalid configuration:');
+    for (const error of errors) {
+      console.error(`  - ${error}`);
+    }
+    process.exit(1);
+  }
+
+  return config;
+}
+
+/**
+ * Create and initialize a router from the loaded configuration
+ */
+async function createRouter(config = loadValidConfig()) {
+  return new Router(config).init();
+}
+
 async function listDomains() {
-  const router = await new Router().init();
+  const router = await createRouter();
   const domains = router.domains();
 
   console.log('Available domains:');
   for (const domain of domains.domains) {
     const tools = router.registry.getToolsByDomain(domain);
-    console.log(`  ${domain}: ${tools.map(t => t.name).join(', ')}`);
+    console.log(`  ${domain}: ${tools.map(t => t.available === false ? `${t.name} (unavailable)` : t.name).join(', ')}`);
+  }
+
+  if (domains.unavailable.length > 0) {
+    console.log('\nUnavailable tools (binary not found):');
+    for (const tool of domains.unavailable) {
+      console.log(`  ${tool.name}: ${tool.binary}`);
+    }
   }
 }
 
 async function listTools(domain) {
-  const router = await new Router().init();
+  const router = await createRouter();
   const manifests = router.manifests(domain);
 
   console.log(domain ? `Tools in ${domain}:` : 'All tools:');
   for (const manifest of manifests.manifests) {
-    console.log(`  ${manifest.name} (${manifest.domain})`);
+    console.log(`  ${manifest.name} (${manifest.domain})${manifest.available === false ? ' [unavailable]' : ''}`);
     console.log(`    ${manifest.summary}`);
   }
 }
@@ -182,17 +243,59 @@ async function register(path) {
 }
 
 async function executeIntent(args) {
-  const want = args.join(' ');
+  const words = [];
+  const context = {};
+  let dryRun = false;
+  let tool;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') {
+      dryRun = true;
+    } else if (arg === '--tool' || arg === '-t') {
+      tool = args[++i];
+    } else if (arg === '--context' || arg === '-c') {
+      try {
+        Object.assign(context, JSON.parse(args[++i]));
+      } catch (err) {
+        console.error(`Invalid --context JSON: ${err.message}`);
+        process.exit(1);
+      }
+    } else if (arg === '--param') {
+      const [key, ...rest] = (args[++i] || '').split('=');
+      if (!key || rest.length === 0) {
+        console.error('Invalid --param, expected key=value');
+        process.exit(1);
+      }
+      context[key] = rest.join('=');
+    } else {
+      words.push(arg);
+    }
+  }
+
+  const want = words.join(' ');
 
   if (!want) {
-    console.error('Usage: cmp intent <natural language intent>');
+    console.error('Usage: cmp intent <natural language intent> [--context <json>] [--param key=value] [--tool <name>] [--dry-run]');
     process.exit(1);
   }
 
-  const router = await new Router().init();
+  const router = await createRouter();
 
   try {
-    const result = await router.intent({ want, confirm: true });
+    let result = await router.intent({ want, context, dryRun, tool });
+
+    // Running the CLI is the user's confirmation
+    if (!dryRun && result.reason === 'confirmation_required') {
+      result = await router.intent({
+        want,
+        context,
+        tool,
+        confirm: true,
+        confirmation_token: result.confirmation_token
+      });
+    }
+
     console.log(JSON.stringify(result, null, 2));
   } catch (err) {
     console.error('Error:', err.message);
@@ -200,9 +303,196 @@ async function executeIntent(args) {
   }
 }
 
-async function showContext() {
-  const router = await new Router().init();
-  console.log(router.contextSnippet());
+async function explainIntent(args) {
+  const json = args.includes('--json');
+  const want = args.filter(arg => arg !== '--json').join(' ');
+
+  if (!want) {
+    console.error('Usage: cmp explain <natural language intent> [--json]');
+    process.exit(1);
+  }
+
+  const router = await createRouter();
+  const explanation = await router.explain(want);
+
+  if (json) {
+    console.log(JSON.stringify(explanation, null, 2));
+    return;
+  }
+
+  console.log(`Intent: "${want}"`);
+
+  if (explanation.candidates.length === 0) {
+    console.log('No candidates (NO_MATCH)');
+    return;
+  }
+
+  const { selected } = explanation;
+  if (selected) {
+    console.log(`Selected: ${selected.tool} → "${selected.intent}"`);
+  } else if (explanation.ambiguous) {
+    console.log(`Ambiguous: top candidates are within margin ${explanation.margin}`);
+  } else {
+    console.log('No intent matched (NO_MATCH); only tool summaries overlap');
+  }
+
+  console.log('\nCandidates:');
+  explanation.candidates.forEach((candidate, index) => {
+    const label = candidate.intent ? `${candidate.tool} / ${candidate.intent}` : `${candidate.tool} (summary only)`;
+    console.log(`  ${index + 1}. ${label}  score ${candidate.score}  confidence ${candidate.confidence}`);
+
+    if (candidate.pattern) {
+      const overlap = candidate.overlap.length ? `  overlap: ${candidate.overlap.join(', ')}` : '';
+      console.log(`     pattern "${candidate.pattern}" (${candidate.kind})${overlap}`);
+    }
+    console.log(`     fields: ${candidate.fields.join(', ') || 'none'}`);
+  });
+}
+
+async function validate(args) {
+  const json = args.includes('--json');
+  const paths = args.filter(arg => !arg.startsWith('-'));
+
+  if (paths.length === 0) {
+    console.error('Usage: cmp validate <path...> [--json]');
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const path of paths) {
+    results.push(await validateTool(resolve(path)));
+  }
+
+  const valid = results.every(result => result.valid);
+
+  if (json) {
+    console.log(JSON.stringify({ valid, results }, null, 2));
+  } else {
+    for (const result of results) {
+      console.log(result.path);
+
+      for (const [file, report] of Object.entries(result.files)) {
+        const errorCount = report.errors.length;
+        console.log(errorCount === 0
+          ? `  ✓ ${file} is valid`
+          : `  ✗ ${file} has ${errorCount} error${errorCount === 1 ? '' : 's'}`);
+
+        for (const issue of report.errors) {
+          console.log(`      ✗ ${issue.path}: ${issue.message}`);
+        }
+        for (const issue of report.warnings) {
+          console.log(`      ! ${issue.path}: ${issue.message}`);
+        }
+      }
+
+      const capability = result.files['capability.json'];
+      if (capability?.valid) {
+        console.log(`  ✓ ${capability.intents} intents defined`);
+      }
+    }
+  }
+
+  if (!valid) {
+    process.exitCode = 1;
+  }
+}
+
+async function test(args) {
+  let target;
+  let stub = null;
+  let format = 'tap';
+  let run = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--run') {
+      run = true;
+    } else if (arg === '--stub') {
+      stub = resolve(args[++i] ?? '');
+      run = true;
+    } else if (arg === '--junit') {
+      format = 'junit';
+    } else if (arg === '--format') {
+      format = args[++i];
+    } else if (!arg.startsWith('-')) {
+      target = arg;
+    }
+  }
+
+  if (!target || !['tap', 'junit'].includes(format)) {
+    console.error('Usage: cmp test <path|tool> [--run] [--stub <file>] [--format tap|junit]');
+    process.exit(1);
+  }
+
+  let router;
+  let toolRef = target;
+
+  if (existsSync(target)) {
+    // A tool directory (or its cmp/.cmp directory) tested on its own
+    let root = resolve(target);
+    if (['cmp', '.cmp'].includes(basename(root))) {
+      root = dirname(root);
+    }
+
+    router = new Router({ ...loadValidConfig(), searchPaths: [] });
+    await router.registry.tryRegister(root);
+
+    const tool = router.registry.getAllManifests().find(t => dirname(t.path) === root);
+    if (!tool) {
+      console.error(`No registrable tool at ${root}`);
+      process.exit(1);
+    }
+    toolRef = toolId(tool);
+  } else {
+    router = await createRouter();
+  }
+
+  const report = await testTool(router, toolRef, { run, stub });
+  console.log(format === 'junit' ? formatJUnit(report) : formatTap(report));
+
+  if (report.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function doctor(args) {
+  const router = await createRouter();
+  const report = router.doctor();
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Checked ${report.tools} tools`);
+
+    for (const tool of report.unavailable) {
+      console.log(`  ✗ ${tool.name} (${tool.domain}): binary not found: ${tool.binary}`);
+    }
+    for (const entry of report.unmet) {
+      console.log(`  ✗ ${entry.tool} (${entry.domain}): requires ${entry.missing.join(', ')}, which no available tool provides`);
+    }
+    for (const cycle of report.cycles) {
+      console.log(`  ! dependency cycle: ${cycle.join(' → ')}`);
+    }
+    for (const entry of report.shadowed) {
+      console.log(entry.tool === entry.by
+        ? `  ! ${entry.tool} at ${entry.path} is shadowed by ${entry.by_path}`
+        : `  ! ${entry.tool} at ${entry.path} is only reachable as ${entry.tool}; its name resolves to ${entry.by}`);
+    }
+
+    if (report.healthy) {
+      console.log('  ✓ No problems found');
+    }
+  }
+
+  if (!report.healthy) {
+    process.exitCode = 1;
+  }
+}
+
+async function showContext(args) {
+  const router = await createRouter();
+  console.log(await router.contextSnippet({ examples: args.includes('--examples') }));
 }
 
 async function init() {
@@ -234,9 +524,27 @@ Commands:
   cmp tools [domain]        List registered tools
   cmp register <path>       Register a tool directory
   cmp intent <text>         Execute a natural language intent
-  cmp context               Show context snippet for AI agents
+  cmp validate <path...>    Validate manifest, capability and examples files
+  cmp explain <text>        Show how an intent resolves, without executing
+  cmp context [--examples]  Show context snippet for AI agents
+  cmp doctor                Check tool binaries and manifest requires
+  cmp test <path|tool>      Run a tool's examples.json as regression tests
   cmp init                  Initialize CMP config directory
 
+Intent Options:
+  -c, --context <json>      Parameters as a JSON object
+  --param <key=value>       Set a single parameter (repeatable)
+  -t, --tool <name>         Only match intents of this tool (name or domain/name)
+  --dry-run                 Show the resolved command without executing
+
+Validate/Explain/Doctor Options:
+  --json                    Print machine-readable results (for CI)
+
+Test Options:
+  --run                     Also run each example and compare output structure
+  --stub <file>             Run this executable in place of the tool binary
+  --format <tap|junit>      Output format (default: tap); --junit is short for junit
+
 Server Options:
   -p, --port <port>         HTTP port (default: 7890)
   -s, --socket              Use Unix socket instead of HTTP
@@ -252,6 +560,14 @@ Examples:
   cmp start --hot-reload             # With hot reload
   cmp register ./my-tool
   cmp intent "check my email"
+  cmp intent "analyze 50 emails"     # re: named groups fill params
+  cmp intent "restore emails" --param count=3
+  cmp intent "delete my emails" --context '{"ids":["abc123"]}' --dry-run
+  cmp intent "check status" --tool git/status
+  cmp validate ./my-tool --json
+  cmp explain "delete my emails"
+  cmp doctor --json
+  cmp test ./my-tool --run --stub ./stub.sh --junit
   cmp domains
 `);
 }
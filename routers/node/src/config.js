@@ -10,6 +10,11 @@
 import { readFileSync, existsSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
+import { validatePolicies } from './policy.js';
+import { OVERFLOW_ACTIONS } from './executor.js';
+import { validateSandbox } from './sandbox.js';
+import { validateTokens } from './auth.js';
+import { validateConcurrency } from './scheduler.js';
 
 /**
  * Default configuration values
@@ -17,21 +22,60 @@ import { homedir } from 'os';
 export const defaultConfig = {
   // Execution
   timeout: 30000,              // Command timeout in ms
+  maxOutputBytes: 10485760,    // Stdout limit per execution (10 MB)
+  outputOverflow: 'truncate',  // Past the limit: "truncate", "kill" or "spill" (to a temp file)
+  spillTtl: 3600000,           // Spill files are deleted this long after they were written (ms)
+
+  // Scheduling: commands beyond the limits wait in a FIFO queue
+  maxConcurrent: 8,            // Commands running at once across all tools
+  queueTimeout: 30000,         // Longest wait for a slot in ms
+  toolConcurrency: [],         // Per-tool limits [{ tool, max }], over the manifest `concurrency`
 
   // HTTP server
   httpPort: 7890,
   httpHost: '127.0.0.1',
 
+  // HTTP authentication: [{ name?, token, scopes?: { methods?, tools? } }]
+  // No tokens = no authentication
+  authTokens: [],
+  authTokensFile: null,        // JSON file with more tokens in the same format
+  corsOrigins: [],             // Browser origins allowed to call the HTTP server ("*" = any)
+
+  // JSON-RPC (all transports)
+  batchConcurrency: 4,         // Requests of a batch run at once
+
   // Unix socket
   socketPath: join(homedir(), '.cmp', 'router.sock'),
   enableSocket: false,
+  socketMaxInFlight: 64,       // Requests running at once across all connections
+  socketMaxInFlightPerConnection: 8, // Requests running at once per connection
 
   // Tool discovery
   searchPaths: [],
 
-  // Security
+  // Intent matching: relative score gap under which the top two candidates are ambiguous
+  matchMargin: 0.1,
+
+  // Security (entries are tool names, globs, or "domain:name" e.g. "email:*")
   allowList: null,             // null = allow all tools
-  denyList: [],                // Tools to explicitly deny
+  denyList: [],                // Tools to explicitly deny (deny wins over allow)
+
+  // Confirmation tokens for confirm: true intents
+  confirmTtl: 300000,          // Token lifetime in ms
+  confirmSecret: null,         // HMAC secret; null = random per router process
+
+  // Sandbox profiles: [{ tool?, env?, cwd?, limits?, network?, readOnly? }]
+  // applied after the manifest's own `sandbox` field
+  sandbox: [],
+
+  // Execution policies: [{ tool?, domain?, intent?, action: "block" | "confirm" | "allow" }]
+  policies: [],
+
+  // Refuse intents of tools whose manifest `requires` domains have no available tool
+  enforceRequires: false,
+
+  // Output validation: fail cmp.intent when output violates the intent's `returns` schema
+  strictOutput: false,
 
   // Logging
   enableLogging: false,
@@ -46,13 +90,29 @@ export const defaultConfig = {
  */
 const ENV_MAPPINGS = {
   CMP_TIMEOUT: { key: 'timeout', parse: parseInt },
+  CMP_MAX_OUTPUT_BYTES: { key: 'maxOutputBytes', parse: parseInt },
+  CMP_OUTPUT_OVERFLOW: { key: 'outputOverflow', parse: String },
+  CMP_SPILL_TTL: { key: 'spillTtl', parse: parseInt },
+  CMP_MAX_CONCURRENT: { key: 'maxConcurrent', parse: parseInt },
+  CMP_QUEUE_TIMEOUT: { key: 'queueTimeout', parse: parseInt },
   CMP_HTTP_PORT: { key: 'httpPort', parse: parseInt },
   CMP_HTTP_HOST: { key: 'httpHost', parse: String },
+  CMP_AUTH_TOKENS_FILE: { key: 'authTokensFile', parse: String },
+  CMP_BATCH_CONCURRENCY: { key: 'batchConcurrency', parse: parseInt },
+  CMP_CORS_ORIGINS: { key: 'corsOrigins', parse: v => v.split(',').map(s => s.trim()).filter(Boolean) },
   CMP_SOCKET_PATH: { key: 'socketPath', parse: String },
   CMP_ENABLE_SOCKET: { key: 'enableSocket', parse: v => v === 'true' || v === '1' },
+  CMP_SOCKET_MAX_IN_FLIGHT: { key: 'socketMaxInFlight', parse: parseInt },
+  CMP_SOCKET_MAX_IN_FLIGHT_PER_CONNECTION: { key: 'socketMaxInFlightPerConnection', parse: parseInt },
   CMP_TOOL_PATH: { key: 'searchPaths', parse: v => v.split(':').filter(Boolean) },
   CMP_ENABLE_LOGGING: { key: 'enableLogging', parse: v => v === 'true' || v === '1' },
-  CMP_LOG_LEVEL: { key: 'logLevel', parse: String }
+  CMP_LOG_LEVEL: { key: 'logLevel', parse: String },
+  CMP_CONFIRM_TTL: { key: 'confirmTtl', parse: parseInt },
+  CMP_MATCH_MARGIN: { key: 'matchMargin', parse: parseFloat },
+  CMP_STRICT_OUTPUT: { key: 'strictOutput', parse: v => v === 'true' || v === '1' },
+  CMP_ENFORCE_REQUIRES: { key: 'enforceRequires', parse: v => v === 'true' || v === '1' },
+  CMP_ALLOW_LIST: { key: 'allowList', parse: v => v.split(',').map(s => s.trim()).filter(Boolean) },
+  CMP_DENY_LIST: { key: 'denyList', parse: v => v.split(',').map(s => s.trim()).filter(Boolean) }
 };
 
 /**
@@ -151,24 +211,100 @@ export function validateConfig(config) {
     errors.push('timeout must be a positive number');
   }
 
+  if (!Number.isInteger(config.maxOutputBytes) || config.maxOutputBytes <= 0) {
+    errors.push('maxOutputBytes must be a positive integer');
+  }
+
+  if (!OVERFLOW_ACTIONS.includes(config.outputOverflow)) {
+    errors.push(`outputOverflow must be one of: ${OVERFLOW_ACTIONS.join(', ')}`);
+  }
+
+  if (typeof config.spillTtl !== 'number' || config.spillTtl <= 0) {
+    errors.push('spillTtl must be a positive number');
+  }
+
+  if (!Number.isInteger(config.maxConcurrent) || config.maxConcurrent <= 0) {
+    errors.push('maxConcurrent must be a positive integer');
+  }
+
+  if (typeof config.queueTimeout !== 'number' || config.queueTimeout <= 0) {
+    errors.push('queueTimeout must be a positive number');
+  }
+
+  errors.push(...validateConcurrency(config.toolConcurrency));
+
   if (typeof config.httpPort !== 'number' || config.httpPort < 0 || config.httpPort > 65535) {
     errors.push('httpPort must be a valid port number (0-65535)');
   }
 
-  if (config.allowList !== null && !Array.isArray(config.allowList)) {
+  errors.push(...validateTokens(config.authTokens));
+
+  if (config.authTokensFile !== null &&
+      (typeof config.authTokensFile !== 'string' || !config.authTokensFile)) {
+    errors.push('authTokensFile must be null or a file path');
+  }
+
+  if (!Array.isArray(config.corsOrigins) || !config.corsOrigins.every(isListEntry)) {
+    errors.push('corsOrigins must be an array of origins');
+  }
+
+  if (!Number.isInteger(config.batchConcurrency) || config.batchConcurrency <= 0) {
+    errors.push('batchConcurrency must be a positive integer');
+  }
+
+  for (const key of ['socketMaxInFlight', 'socketMaxInFlightPerConnection']) {
+    if (!Number.isInteger(config[key]) || config[key] <= 0) {
+      errors.push(`${key} must be a positive integer`);
+    }
+  }
+
+  if (typeof config.confirmTtl !== 'number' || config.confirmTtl <= 0) {
+    errors.push('confirmTtl must be a positive number');
+  }
+
+  if (typeof config.matchMargin !== 'number' || config.matchMargin < 0 || config.matchMargin >= 1) {
+    errors.push('matchMargin must be a number between 0 and 1');
+  }
+
+  if (config.allowList !== null &&
+      (!Array.isArray(config.allowList) || !config.allowList.every(isListEntry))) {
     errors.push('allowList must be null or an array of tool names');
   }
 
-  if (!Array.isArray(config.denyList)) {
+  if (!Array.isArray(config.denyList) || !config.denyList.every(isListEntry)) {
     errors.push('denyList must be an array of tool names');
   }
 
+  if (typeof config.enforceRequires !== 'boolean') {
+    errors.push('enforceRequires must be a boolean');
+  }
+
+  errors.push(...validatePolicies(config.policies));
+
+  if (!Array.isArray(config.sandbox)) {
+    errors.push('sandbox must be an array of profiles');
+  } else {
+    config.sandbox.forEach((profile, index) => {
+      errors.push(...validateSandbox(profile, `sandbox[${index}]`));
+      if (profile?.tool !== undefined && !isListEntry(profile.tool)) {
+        errors.push(`sandbox[${index}].tool must be a tool name`);
+      }
+    });
+  }
+
   return {
     valid: errors.length === 0,
     errors
   };
 }
 
+/**
+ * Check an allow/deny list entry is a non-empty string
+ */
+function isListEntry(entry) {
+  return typeof entry === 'string' && entry.length > 0;
+}
+
 export default {
   defaultConfig,
   loadConfig,
@@ -0,0 +1,146 @@
+/**
+ * Confirmation - Signed, short-lived confirmation tokens
+ *
+ * A preview of a confirm-required intent carries a token bound to the exact
+ * tool, intent, sanitized params and command that were shown. The confirmed
+ * call must present that token, so the caller cannot change `context`
+ * between the preview and the execution. Each token can be used once.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Default token lifetime: 5 minutes
+ */
+export const DEFAULT_CONFIRM_TTL = 5 * 60 * 1000;
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal values
+ * always produce the same string
+ *
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+export function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+export class ConfirmationTokens {
+  /**
+   * @param {Object} options - Token options
+   * @param {string|Buffer} options.secret - HMAC secret (default: random per instance)
+   * @param {number} options.ttl - Token lifetime in ms (default: 5 minutes)
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || randomBytes(32);
+    this.ttl = options.ttl || DEFAULT_CONFIRM_TTL;
+    this.used = new Map(); // signature of each used token -> its expiry
+  }
+
+  /**
+   * Issue a token for an execution binding
+   *
+   * @param {{ tool: string, intent: string, params: Object, command: string }} binding
+   * @returns {{ token: string, expires_at: number }}
+   */
+  issue(binding) {
+    const expiresAt = Date.now() + this.ttl;
+    const payload = Buffer
+      .from(JSON.stringify({ exp: expiresAt, sub: this.digest(binding), jti: randomBytes(8).toString('hex') }))
+      .toString('base64url');
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      expires_at: expiresAt
+    };
+  }
+
+  /**
+   * Verify a token against the binding of the confirmed call, consuming it
+   * A valid token is remembered until it expires, and presenting it again
+   * fails with reason "used".
+   *
+   * @param {string} token - Token from the preview response
+   * @param {Object} binding - Binding recomputed for the confirmed call
+   * @returns {{ valid: boolean, reason?: string }}
+   */
+  verify(token, binding) {
+    if (typeof token !== 'string' || !token) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    const [payload, signature, extra] = token.split('.');
+    if (!payload || !signature || extra !== undefined) {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      return { valid: false, reason: 'invalid_signature' };
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch {
+      return { valid: false, reason: 'malformed' };
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    if (claims.sub !== this.digest(binding)) {
+      return { valid: false, reason: 'mismatch' };
+    }
+
+    this.forgetExpired();
+    if (this.used.has(signature)) {
+      return { valid: false, reason: 'used' };
+    }
+    this.used.set(signature, claims.exp);
+
+    return { valid: true };
+  }
+
+  /**
+   * Drop used tokens that have expired, and would be rejected anyway
+   */
+  forgetExpired() {
+    const now = Date.now();
+    for (const [signature, exp] of this.used) {
+      if (exp < now) {
+        this.used.delete(signature);
+      }
+    }
+  }
+
+  /**
+   * Hash of the execution binding
+   */
+  digest(binding) {
+    return createHash('sha256').update(canonicalJSON(binding)).digest('base64url');
+  }
+
+  /**
+   * HMAC signature of a token payload
+   */
+  sign(payload) {
+    return createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+}
+
+export default ConfirmationTokens;
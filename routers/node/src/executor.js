@@ -3,13 +3,29 @@
  *
  * Features:
  * - Shell argument escaping to prevent command injection
- * - Command timeout enforcement
+ * - Shell-free argv execution for intents that declare an `argv` template
+ * - Command timeout enforcement and cancellation (whole process group)
+ * - Optional streaming of stdout/stderr chunks or NDJSON records
+ * - Output size limits (truncate, kill, or spill to a temp file that is
+ *   deleted after spillTtl or when the executor closes)
+ * - Sandbox profiles: env allow-list, cwd, resource limits, namespaces
  * - Placeholder validation before execution
  * - Execution logging for audit
  */
 
 import { spawn } from 'child_process';
-import { sanitizeForShell, validateCommand, validateParams } from './validator.js';
+import { createWriteStream, mkdtempSync, rmSync } from 'fs';
+import { readdir, stat, rm } from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildSpawn } from './sandbox.js';
+import {
+  sanitizeForShell,
+  validateCommand,
+  validateParams,
+  ValidationError
+} from './validator.js';
 
 /**
  * Execution error class
@@ -35,12 +51,32 @@ export class ExecutionError extends Error {
  * Default configuration
  */
 const DEFAULT_TIMEOUT = 30000; // 30 seconds
+const KILL_GRACE = 5000;        // SIGTERM -> SIGKILL delay
+const DEFAULT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024; // 10 MB of stdout
+const DEFAULT_SPILL_TTL = 60 * 60 * 1000; // Spill files live for an hour
+
+/**
+ * What to do when stdout exceeds maxOutputBytes
+ */
+export const OVERFLOW_ACTIONS = ['truncate', 'kill', 'spill'];
+
+/**
+ * Error code for cancelled executions (ErrorCodes.CANCELLED)
+ */
+const CANCELLED = -32009;
 
 export class Executor {
   constructor(options = {}) {
     this.timeout = options.timeout || DEFAULT_TIMEOUT;
     this.logger = options.logger || console;
     this.enableLogging = options.enableLogging ?? false;
+    this.maxOutputBytes = options.maxOutputBytes || DEFAULT_MAX_OUTPUT_BYTES;
+    this.overflow = options.overflow || 'truncate';
+    this.sandbox = options.sandbox || {};
+    this.spillTtl = options.spillTtl || DEFAULT_SPILL_TTL;
+    this.spillDir = null;     // Created on the first spill, removed by close()
+    this.running = new Set(); // { stop, exited } for each spawned command
+    this.closed = false;
   }
 
   /**
@@ -50,10 +86,16 @@ export class Executor {
    * @param {Object} intent - The intent definition with command template
    * @param {Object} context - User-provided parameters
    * @param {Object} options - Build options
+   * @param {boolean} options.validateOnly - Return invalid builds instead of throwing
+   * @param {Object} options.binary - Resolved tool binary ({ name, path }) to pin
    * @returns {{ command: string, validation: Object }}
    */
   buildCommand(intent, context, options = {}) {
-    const { validateOnly = false } = options;
+    const { validateOnly = false, binary = null } = options;
+
+    if (Array.isArray(intent.argv)) {
+      return this.pinBinary(this.buildArgv(intent, context, options), binary);
+    }
 
     // Validate parameters against schema
     const validation = validateParams(context, intent.params || {});
@@ -94,7 +136,133 @@ export class Executor {
       }
     }
 
-    return { command, validation };
+    return this.pinBinary({ command, validation }, binary);
+  }
+
+  /**
+   * Point a built command at a tool's resolved binary
+   * A leading bare binary name is replaced with its absolute path, so a
+   * same-named executable earlier in PATH cannot run instead.
+   *
+   * @param {Object} built - Result of building the command
+   * @param {{ name: string, path: string }|null} binary - Declared name and resolved path
+   * @returns {Object} The built command, rewritten if it starts with the binary
+   */
+  pinBinary(built, binary) {
+    if (!binary?.name || !binary.path) {
+      return built;
+    }
+
+    if (built.argv) {
+      if (built.argv[0] !== binary.name) return built;
+
+      const argv = [binary.path, ...built.argv.slice(1)];
+      return { ...built, argv, command: this.describeArgv(argv) };
+    }
+
+    const command = built.command.trimStart();
+    const [first] = command.split(/\s/, 1);
+
+    if (first !== binary.name) return built;
+
+    return { ...built, command: sanitizeForShell(binary.path) + command.slice(first.length) };
+  }
+
+  /**
+   * Build an argv array from an intent's argv template and context
+   * No shell is involved, so values are substituted verbatim.
+   *
+   * Template entries:
+   * - "{param}" or "--flag={param}" substitutes a scalar value
+   * - "{param...}" expands an array value into one entry per item
+   *
+   * @param {Object} intent - The intent definition with argv template
+   * @param {Object} context - User-provided parameters
+   * @param {Object} options - Build options
+   * @returns {{ command: string, argv: string[], validation: Object }}
+   */
+  buildArgv(intent, context, options = {}) {
+    const { validateOnly = false } = options;
+
+    const validation = validateParams(context, intent.params || {}, { escape: false });
+
+    if (!validation.valid && !validateOnly) {
+      throw new ExecutionError(
+        `Parameter validation failed: ${validation.errors.map(e => e.message).join('; ')}`,
+        -32602,
+        { errors: validation.errors }
+      );
+    }
+
+    const values = validation.sanitized;
+    const argv = [];
+    const missing = [];
+
+    for (const part of intent.argv) {
+      const spread = /^\{(\w+)\.\.\.\}$/.exec(part);
+
+      if (spread) {
+        const value = values[spread[1]];
+        // Optional variadic params expand to nothing when absent
+        if (value === undefined) continue;
+
+        const items = Array.isArray(value) ? value : [value];
+        argv.push(...items.map(item => this.formatArg(item)));
+        continue;
+      }
+
+      argv.push(part.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        if (!(key in values)) {
+          missing.push(key);
+          return placeholder;
+        }
+
+        if (Array.isArray(values[key])) {
+          throw new ExecutionError(
+            `Array parameter '${key}' must use {${key}...} in argv templates`,
+            -32602,
+            { param: key }
+          );
+        }
+
+        return this.formatArg(values[key]);
+      }));
+    }
+
+    if (missing.length > 0 && !validateOnly) {
+      throw new ValidationError(
+        `Command has unsubstituted placeholders: ${missing.join(', ')}`,
+        missing.map(p => ({
+          type: 'unsubstituted_placeholder',
+          param: p,
+          message: `Parameter '${p}' was not provided and has no default`
+        }))
+      );
+    }
+
+    return {
+      command: this.describeArgv(argv),
+      argv,
+      validation
+    };
+  }
+
+  /**
+   * Format a single argv entry (no shell escaping)
+   */
+  formatArg(value) {
+    if (typeof value === 'object' && value !== null) {
+      return JSON.stringify(value);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Render an argv array as a shell-quoted string for display and logging
+   */
+  describeArgv(argv) {
+    return argv.map(arg => sanitizeForShell(arg)).join(' ');
   }
 
   /**
@@ -133,57 +301,218 @@ export class Executor {
   /**
    * Validate and execute a pre-built command
    *
-   * @param {string} command - The command to execute
-   * @param {Object} options - Execution options
-   * @returns {Promise<Object>} Parsed output
+   * @param {string|string[]} command - Shell command string, or an argv array
+   *   to spawn directly without a shell
+   * @param {Object} options - Execution options (see runDetailed)
+   * @returns {Promise<Object>} Parsed output, or { exit_code } when streaming
    */
   async run(command, options = {}) {
+    const result = await this.runDetailed(command, options);
+    return options.onOutput ? { exit_code: result.exit_code } : result.output;
+  }
+
+  /**
+   * Validate and execute a pre-built command, reporting how its output was
+   * handled
+   *
+   * @param {string|string[]} command - Shell command string, or an argv array
+   *   to spawn directly without a shell
+   * @param {Object} options - Execution options
+   * @param {number} options.timeout - Timeout in ms (default: executor timeout)
+   * @param {Function} options.onOutput - Stream output instead of buffering it.
+   *   Called with { stream: 'stdout'|'stderr', data } for each chunk, or
+   *   { stream: 'stdout', record } per stdout line when `ndjson` is set
+   * @param {boolean} options.ndjson - Parse streamed stdout as NDJSON records
+   * @param {AbortSignal} options.signal - Cancels the execution when aborted
+   * @param {number} options.maxOutputBytes - Stdout byte limit (default: executor limit)
+   * @param {Object} options.sandbox - Sandbox profile (default: executor profile)
+   * @param {string} options.overflow - Past the limit: "truncate" keeps the
+   *   first maxOutputBytes, "kill" stops the process and fails, "spill" also
+   *   writes the full stdout to a file in the executor's spill directory,
+   *   whether streamed or buffered (default: executor setting)
+   * @returns {Promise<{ output: Object|undefined, exit_code: number, truncated: boolean, output_file?: string }>}
+   *   output is undefined when streaming
+   */
+  async runDetailed(command, options = {}) {
     const timeout = options.timeout || this.timeout;
+    const { onOutput, ndjson = false, signal } = options;
+    const limit = options.maxOutputBytes ?? this.maxOutputBytes;
+    const overflow = options.overflow ?? this.overflow;
+    const isArgv = Array.isArray(command);
 
-    // Validate command has no unsubstituted placeholders
-    validateCommand(command);
+    if (signal?.aborted) {
+      throw new ExecutionError('Command cancelled before it started', CANCELLED, { cancelled: true });
+    }
+
+    if (this.closed) {
+      throw new ExecutionError('Executor is shutting down', CANCELLED, { cancelled: true });
+    }
+
+    if (isArgv) {
+      if (command.length === 0) {
+        throw new ExecutionError('Cannot execute an empty argv', -32602);
+      }
+    } else {
+      // Validate command has no unsubstituted placeholders
+      validateCommand(command);
+    }
 
     // Log execution for audit
     if (this.enableLogging) {
-      this.logger.info(`[CMP Executor] Running: ${command}`);
+      const display = isArgv ? this.describeArgv(command) : command;
+      this.logger.info(`[CMP Executor] Running: ${display}`);
     }
 
-    return new Promise((resolve, reject) => {
-      // Set CMP_AGENT env var to signal agent mode
-      const env = { ...process.env, CMP_AGENT: '1' };
+    // Apply the sandbox profile: filtered env (CMP_AGENT=1), cwd, limits, namespaces
+    const { file, args, env, cwd, warnings, errors } = buildSpawn(command, options.sandbox || this.sandbox);
+    for (const warning of warnings) {
+      this.logger.warn(`[CMP Executor] ${warning}`);
+    }
 
-      const child = spawn('sh', ['-c', command], {
+    // Never run without the limits or read-only paths a profile declares
+    if (errors.length > 0) {
+      throw new ExecutionError(
+        `Sandbox cannot be enforced on this host: ${errors.join('; ')}`,
+        -32001,
+        { sandbox: errors }
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      // Run in its own process group so timeouts and cancellation also
+      // reach anything the command spawns
+      const child = spawn(file, args, {
         env,
-        stdio: ['ignore', 'pipe', 'pipe']
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: true
       });
 
-      let stdout = '';
+      const chunks = [];   // Stdout within `limit`: the output, or the spill file's head when streaming
+      let bytes = 0;       // Total stdout bytes produced
       let stderr = '';
+      let pending = '';    // Incomplete NDJSON line
       let killed = false;
+      let cancelled = false;
+      let truncated = false;
+      let overflowed = false;
+      let spill = null;
+      let spillError = null;
+      let outputFile;
+      let killTimer = null;
+      let exited;
+      const execution = { stop: null, exited: new Promise(resolve => { exited = resolve; }) };
+
+      const terminate = () => {
+        this.killGroup(child, 'SIGTERM');
+
+        // Force kill if still running after the grace period
+        killTimer = setTimeout(() => this.killGroup(child, 'SIGKILL'), KILL_GRACE);
+      };
 
       // Set up timeout
       const timeoutId = setTimeout(() => {
         killed = true;
-        child.kill('SIGTERM');
+        terminate();
+      }, timeout);
+
+      const onAbort = () => {
+        cancelled = true;
+        terminate();
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      // The group is detached, so close() must stop it or it outlives us
+      execution.stop = onAbort;
+      this.running.add(execution);
 
-        // Force kill after 5 more seconds if still running
-        setTimeout(() => {
-          if (!child.killed) {
-            child.kill('SIGKILL');
+      const cleanup = () => {
+        clearTimeout(timeoutId);
+        clearTimeout(killTimer);
+        signal?.removeEventListener('abort', onAbort);
+        this.running.delete(execution);
+        exited();
+      };
+
+      // Apply the output limit, returning the part of a chunk within it
+      const limitStdout = data => {
+        const room = Math.max(limit - bytes, 0);
+        bytes += data.length;
+
+        if (data.length <= room) return data;
+
+        if (!truncated) {
+          truncated = true;
+
+          if (overflow === 'kill') {
+            overflowed = true;
+            terminate();
+          } else if (overflow === 'spill') {
+            outputFile = join(this.spillDirectory(), `cmp-output-${randomUUID()}`);
+            spill = createWriteStream(outputFile, { flags: 'wx', mode: 0o600 });
+            spill.on('error', err => { spillError = err; });
+            spill.write(Buffer.concat([...chunks, data.subarray(0, room)]));
           }
-        }, 5000);
-      }, timeout);
+        }
+
+        spill?.write(data.subarray(room));
+        return data.subarray(0, room);
+      };
 
       child.stdout.on('data', data => {
-        stdout += data.toString();
+        const kept = limitStdout(data);
+        if (kept.length === 0) return;
+
+        // Streamed output is kept too when spilling, so the spill file can
+        // start with it
+        if (!onOutput || overflow === 'spill') {
+          chunks.push(kept);
+        }
+
+        if (!onOutput) return;
+
+        if (ndjson) {
+          const lines = (pending + kept.toString()).split('\n');
+          pending = lines.pop();
+          lines.forEach(line => this.emitRecord(line, onOutput));
+        } else {
+          onOutput({ stream: 'stdout', data: kept.toString() });
+        }
       });
 
       child.stderr.on('data', data => {
-        stderr += data.toString();
+        // Keep only what error reporting needs
+        stderr = (stderr + data.toString()).slice(0, 2000);
+
+        if (onOutput) {
+          onOutput({ stream: 'stderr', data: data.toString() });
+        }
       });
 
-      child.on('close', code => {
-        clearTimeout(timeoutId);
+      const settle = code => {
+        const stdout = Buffer.concat(chunks).toString();
+
+        if (pending) {
+          this.emitRecord(pending, onOutput);
+        }
+
+        if (cancelled) {
+          reject(new ExecutionError(
+            'Command cancelled',
+            CANCELLED,
+            { cancelled: true, partial_stdout: stdout.slice(0, 1000) }
+          ));
+          return;
+        }
+
+        if (overflowed) {
+          reject(new ExecutionError(
+            `Command output exceeded ${limit} bytes`,
+            -32001,
+            { truncated: true, max_output_bytes: limit, partial_stdout: stdout.slice(0, 1000) }
+          ));
+          return;
+        }
 
         if (killed) {
           reject(new ExecutionError(
@@ -198,7 +527,16 @@ export class Executor {
           reject(new ExecutionError(
             `Command failed with exit code ${code}: ${stderr.slice(0, 500)}`,
             -32001,
-            { exit_code: code, stderr: stderr.slice(0, 2000) }
+            { exit_code: code, stderr }
+          ));
+          return;
+        }
+
+        if (spillError) {
+          reject(new ExecutionError(
+            `Failed to write output file: ${spillError.message}`,
+            -32001,
+            { output_file: outputFile, error: spillError.message }
           ));
           return;
         }
@@ -207,17 +545,27 @@ export class Executor {
           this.logger.info(`[CMP Executor] Completed successfully`);
         }
 
-        // Try to parse as JSON
-        try {
-          resolve(JSON.parse(stdout));
-        } catch {
-          // Return raw output if not JSON
-          resolve({ raw: stdout.trim() });
+        resolve({
+          output: onOutput ? undefined : this.parseOutput(stdout),
+          exit_code: code,
+          truncated,
+          ...(outputFile && { output_file: outputFile })
+        });
+      };
+
+      child.on('close', code => {
+        cleanup();
+
+        if (spill) {
+          spill.once('close', () => settle(code));
+          spill.end();
+        } else {
+          settle(code);
         }
       });
 
       child.on('error', err => {
-        clearTimeout(timeoutId);
+        cleanup();
         reject(new ExecutionError(
           `Failed to spawn command: ${err.message}`,
           -32001,
@@ -227,6 +575,101 @@ export class Executor {
     });
   }
 
+  /**
+   * Stop every running command and refuse new ones
+   * Each process group gets SIGTERM, then SIGKILL if it is still running
+   * after the grace period, and its pending call fails with CANCELLED.
+   * The spill directory is removed with every file in it.
+   *
+   * @returns {Promise<void>} Resolves once every command has exited
+   */
+  async close() {
+    this.closed = true;
+
+    const running = [...this.running];
+    for (const execution of running) {
+      execution.stop();
+    }
+
+    await Promise.all(running.map(execution => execution.exited));
+
+    if (this.spillDir) {
+      rmSync(this.spillDir, { recursive: true, force: true });
+      this.spillDir = null;
+    }
+  }
+
+  /**
+   * Get the directory spill files are written to, creating it on first use
+   * Each call also deletes spill files older than spillTtl in the background.
+   *
+   * @returns {string} Directory path
+   */
+  spillDirectory() {
+    if (!this.spillDir) {
+      this.spillDir = mkdtempSync(join(tmpdir(), 'cmp-spill-'));
+    } else {
+      this.sweepSpills().catch(() => {
+        // An undeleted file is retried on the next sweep
+      });
+    }
+
+    return this.spillDir;
+  }
+
+  /**
+   * Delete spill files last written more than spillTtl ago
+   */
+  async sweepSpills() {
+    const dir = this.spillDir;
+    const cutoff = Date.now() - this.spillTtl;
+
+    for (const name of await readdir(dir)) {
+      const file = join(dir, name);
+      if ((await stat(file)).mtimeMs < cutoff) {
+        await rm(file, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Parse buffered stdout as JSON, falling back to trimmed raw text
+   */
+  parseOutput(stdout) {
+    try {
+      return JSON.parse(stdout);
+    } catch {
+      return { raw: stdout.trim() };
+    }
+  }
+
+  /**
+   * Signal a child's whole process group, falling back to the child itself
+   */
+  killGroup(child, signal) {
+    if (!child.pid) return;
+
+    try {
+      process.kill(-child.pid, signal);
+    } catch {
+      // Group already gone, or not a group leader
+      child.kill(signal);
+    }
+  }
+
+  /**
+   * Emit one NDJSON line as a record, or as raw data if it is not JSON
+   */
+  emitRecord(line, onOutput) {
+    if (!line.trim()) return;
+
+    try {
+      onOutput({ stream: 'stdout', record: JSON.parse(line) });
+    } catch {
+      onOutput({ stream: 'stdout', data: line });
+    }
+  }
+
   /**
    * Execute an intent with full validation
    *
@@ -236,7 +679,7 @@ export class Executor {
    * @returns {Promise<Object>}
    */
   async execute(intent, context, options = {}) {
-    const { command, validation } = this.buildCommand(intent, context);
+    const { command, argv, validation } = this.buildCommand(intent, context);
 
     if (!validation.valid) {
       throw new ExecutionError(
@@ -248,7 +691,11 @@ export class Executor {
 
     return {
       command,
-      output: await this.run(command, options)
+      output: await this.run(argv || command, {
+        maxOutputBytes: intent.maxOutputBytes,
+        overflow: intent.outputOverflow,
+        ...options
+      })
     };
   }
 }
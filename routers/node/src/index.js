@@ -9,10 +9,23 @@
  * 5. Executes tools and returns structured results
  */
 
-import { Registry } from './registry.js';
+import { Registry, binaryName } from './registry.js';
 import { Matcher } from './matcher.js';
 import { Executor, ExecutionError } from './executor.js';
-import { ValidationError, validateParams } from './validator.js';
+import { ValidationError, validateParams, validateSchema } from './validator.js';
+import { ConfirmationTokens } from './confirmation.js';
+import { PolicyEngine } from './policy.js';
+import { resolveProfile } from './sandbox.js';
+import { Scheduler } from './scheduler.js';
+import { randomUUID } from 'crypto';
+import { readFileSync } from 'fs';
+
+/**
+ * Router version, from package.json
+ */
+export const VERSION = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf-8')
+).version;
 
 /**
  * JSON-RPC Error Codes per SPEC.md §5.3
@@ -31,7 +44,15 @@ export const ErrorCodes = {
   CAPABILITY_NOT_FOUND: -32002,
   EXECUTION_FAILED: -32003,
   AMBIGUOUS_INTENT: -32004,
-  CONFIRMATION_REQUIRED: -32005
+  CONFIRMATION_REQUIRED: -32005,
+  TOOL_DENIED: -32006,
+  OUTPUT_INVALID: -32007,
+  POLICY_BLOCKED: -32008,
+  CANCELLED: -32009,
+  TOOL_UNAVAILABLE: -32010,
+  REQUIREMENTS_UNMET: -32011,
+  SCOPE_DENIED: -32012,
+  QUEUE_TIMEOUT: -32013
 };
 
 /**
@@ -92,26 +113,124 @@ export class AmbiguousIntentError extends CMPError {
  * Confirmation required error
  */
 export class ConfirmationRequiredError extends CMPError {
-  constructor(tool, command, message = 'This action requires confirmation') {
+  constructor(tool, command, message = 'This action requires confirmation', details = {}) {
     super(
       ErrorCodes.CONFIRMATION_REQUIRED,
       message,
-      { tool, command, requires_confirm: true }
+      { tool, command, requires_confirm: true, ...details }
     );
     this.name = 'ConfirmationRequiredError';
   }
 }
 
+/**
+ * Tool denied by allowList/denyList configuration
+ */
+export class ToolDeniedError extends CMPError {
+  constructor(toolName) {
+    super(ErrorCodes.TOOL_DENIED, `Tool denied by configuration: ${toolName}`, { tool: toolName });
+    this.name = 'ToolDeniedError';
+  }
+}
+
+/**
+ * Tool output does not match the intent's `returns` schema (strict mode)
+ */
+export class OutputValidationError extends CMPError {
+  constructor(toolName, errors, output) {
+    super(
+      ErrorCodes.OUTPUT_INVALID,
+      `Output of ${toolName} does not match its returns schema: ${errors.map(e => e.message).join('; ')}`,
+      { tool: toolName, errors, output }
+    );
+    this.name = 'OutputValidationError';
+  }
+}
+
+/**
+ * Intent blocked by a configured policy rule
+ */
+export class PolicyBlockedError extends CMPError {
+  constructor(toolName, intent, rule) {
+    super(
+      ErrorCodes.POLICY_BLOCKED,
+      `Intent blocked by policy: ${toolName} (${intent})`,
+      { tool: toolName, intent, rule }
+    );
+    this.name = 'PolicyBlockedError';
+  }
+}
+
+/**
+ * Tool whose declared binary was not found when it was registered
+ */
+export class ToolUnavailableError extends CMPError {
+  constructor(toolName, binary) {
+    super(
+      ErrorCodes.TOOL_UNAVAILABLE,
+      `Tool unavailable: ${toolName} (binary not found: ${binary})`,
+      { tool: toolName, binary }
+    );
+    this.name = 'ToolUnavailableError';
+  }
+}
+
+/**
+ * Method or tool outside the authenticated client's scopes
+ */
+export class ScopeDeniedError extends CMPError {
+  constructor(client, target) {
+    super(
+      ErrorCodes.SCOPE_DENIED,
+      `Client ${client} is not permitted to use ${target}`,
+      { client, target }
+    );
+    this.name = 'ScopeDeniedError';
+  }
+}
+
+/**
+ * Tool whose required domains have no available tool (with enforceRequires)
+ */
+export class RequirementsUnmetError extends CMPError {
+  constructor(toolName, missing) {
+    super(
+      ErrorCodes.REQUIREMENTS_UNMET,
+      `Tool requirements unmet: ${toolName} requires ${missing.join(', ')}`,
+      { tool: toolName, missing }
+    );
+    this.name = 'RequirementsUnmetError';
+  }
+}
+
 export class Router {
   constructor(options = {}) {
-    this.registry = new Registry(options.searchPaths);
-    this.matcher = new Matcher();
+    this.registry = new Registry(options.searchPaths, {
+      allowList: options.allowList,
+      denyList: options.denyList
+    });
+    this.matcher = new Matcher({ margin: options.matchMargin });
+    this.confirmations = new ConfirmationTokens({
+      secret: options.confirmSecret,
+      ttl: options.confirmTtl
+    });
+    this.policy = new PolicyEngine(options.policies);
+    this.executions = new Map(); // execution id -> { controller, tool, command, started_at }
     this.executor = new Executor({
       timeout: options.timeout,
       logger: options.logger,
-      enableLogging: options.enableLogging
+      enableLogging: options.enableLogging,
+      maxOutputBytes: options.maxOutputBytes,
+      overflow: options.outputOverflow,
+      spillTtl: options.spillTtl
+    });
+    this.scheduler = new Scheduler({
+      maxConcurrent: options.maxConcurrent,
+      queueTimeout: options.queueTimeout,
+      toolConcurrency: options.toolConcurrency
     });
     this.options = options;
+    this.startedAt = Date.now();
   }
 
   /**
@@ -131,34 +250,151 @@ export class Router {
   }
 
   /**
-   * List available domains
+   * Check the router is running
+   */
+  ping() {
+    return { status: 'ok', timestamp: Date.now() };
+  }
+
+  /**
+   * Report router health: version, uptime, registered and unavailable
+   * tools, registry scan state, and running and queued executions. The
+   * router is ready once its first registry scan has completed.
+   *
+   * @param {Object} options - Health options
+   * @param {Function} options.allow - Only count tools this predicate accepts
    */
-  domains() {
+  health(options = {}) {
+    const visible = this.visible(options.allow);
+
+    return {
+      status: 'ok',
+      version: VERSION,
+      uptime_ms: Date.now() - this.startedAt,
+      ready: this.registry.lastScan !== null,
+      tools: this.registry.getAllManifests().filter(visible).length,
+      unavailable: this.domains({ allow: options.allow }).unavailable,
+      last_scan: this.registry.lastScan,
+      hot_reload: this.registry.hotReloadEnabled,
+      executions: this.scheduler.stats(visible)
+    };
+  }
+
+  /**
+   * List available domains, and tools whose binary was not found
+   *
+   * @param {Object} options - Listing options
+   * @param {Function} options.allow - Only list tools this predicate accepts
+   */
+  domains(options = {}) {
+    const visible = this.visible(options.allow);
+
     return {
       domains: this.registry.getDomains()
+        .filter(domain => this.registry.getManifestsByDomain(domain).some(visible)),
+      unavailable: this.registry.getUnavailableManifests().filter(visible).map(tool => ({
+        name: tool.name,
+        domain: tool.domain,
+        binary: binaryName(tool)
+      }))
     };
   }
 
   /**
-   * Get manifests for a domain (or all domains)
+   * Get manifests for a domain (or all domains) with their unmet `requires` and cycles
+   *
+   * @param {string|null} domain - Domain to list, or null for all
+   * @param {Object} options - Listing options
+   * @param {Function} options.allow - Only list tools this predicate accepts
    */
-  manifests(domain = null) {
-    const manifests = domain
+  manifests(domain = null, options = {}) {
+    const visible = this.visible(options.allow);
+    const manifests = (domain
       ? this.registry.getManifestsByDomain(domain)
-      : this.registry.getAllManifests();
+      : this.registry.getAllManifests()).filter(visible);
 
-    return { manifests };
+    const dependencies = this.registry.checkDependencies();
+    const unmet = dependencies.unmet
+      .filter(entry => visible(this.registry.getTool(`${entry.domain}/${entry.tool}`)));
+    const { cycles } = dependencies;
+
+    return {
+      manifests,
+      dependencies: domain
+        ? {
+          unmet: unmet.filter(entry => entry.domain === domain),
+          cycles: cycles.filter(cycle => cycle.includes(domain))
+        }
+        : { unmet, cycles }
+    };
   }
 
   /**
-   * Get capabilities for a specific tool
+   * Report registry problems: unavailable binaries, unmet `requires`
+   * and dependency cycles. Shadowed tools are listed but don't make the
+   * registry unhealthy.
    */
-  async capabilities(toolName) {
+  doctor() {
+    const { unavailable } = this.domains();
+    const { unmet, cycles } = this.registry.checkDependencies();
+
+    return {
+      healthy: unavailable.length === 0 && unmet.length === 0 && cycles.length === 0,
+      tools: this.registry.tools.size,
+      unavailable,
+      unmet,
+      cycles,
+      shadowed: this.registry.getShadowed()
+    };
+  }
+
+  /**
+   * Build a visibility check from an optional tool predicate
+   */
+  visible(allow) {
+    return tool => !allow || allow(tool);
+  }
+
+  /**
+   * Build the registry view intents are matched against: every tool, or
+   * only the tool named by `toolRef`, narrowed by an `allow` predicate
+   */
+  matchScope(toolRef = null, allow = null) {
+    if (!toolRef && !allow) {
+      return this.registry;
+    }
+
+    return {
+      getAllManifests: () => (toolRef ? [this.getTool(toolRef)] : this.registry.getAllManifests())
+        .filter(this.visible(allow)),
+      loadCapability: tool => this.registry.loadCapability(tool),
+      loadExamples: tool => this.registry.loadExamples(tool)
+    };
+  }
+
+  /**
+   * Look up a registered tool by name or qualified domain/name, rejecting
+   * denied and unknown tools
+   */
+  getTool(toolName) {
     const tool = this.registry.getTool(toolName);
-    if (!tool) {
-      throw new ToolNotFoundError(toolName);
+    if (tool) {
+      return tool;
+    }
+
+    if (this.registry.isDenied(toolName)) {
+      throw new ToolDeniedError(toolName);
     }
 
+    throw new ToolNotFoundError(toolName);
+  }
+
+  /**
+   * Get capabilities for a specific tool
+   */
+  async capabilities(toolName) {
+    const tool = this.getTool(toolName);
+
     try {
       // Lazy load capability.json
       const capability = await this.registry.loadCapability(tool);
@@ -175,7 +411,7 @@ export class Router {
       throw new CMPError(
         ErrorCodes.CAPABILITY_NOT_FOUND,
         `Failed to load capabilities for tool: ${toolName}`,
-        { tool: toolName, error: err.message }
+        { tool: toolName, error: err.message, ...(err.errors && { files: err.errors }) }
       );
     }
   }
@@ -184,10 +420,7 @@ export class Router {
    * Get full schema for a specific intent
    */
   async schema(toolName, pattern) {
-    const tool = this.registry.getTool(toolName);
-    if (!tool) {
-      throw new ToolNotFoundError(toolName);
-    }
+    const tool = this.getTool(toolName);
 
     try {
       const capability = await this.registry.loadCapability(tool);
@@ -213,12 +446,69 @@ export class Router {
   }
 
   /**
-   * Execute an intent
+   * Get examples.json examples for a tool, optionally only those that
+   * invoke the intent matching `pattern`
    */
-  async intent(params) {
-    const { want, context = {}, confirm = false } = params;
+  async examples(toolName, pattern = null) {
+    const tool = this.getTool(toolName);
+
+    try {
+      const examples = await this.registry.loadExamples(tool);
 
-    if (!want || typeof want !== 'string') {
+      if (!pattern) {
+        return { examples };
+      }
+
+      const { intents = [] } = await this.registry.loadCapability(tool);
+      const intent = this.matcher.findIntent(intents, pattern);
+
+      if (!intent) {
+        throw new CMPError(
+          ErrorCodes.NO_MATCH,
+          `No intent matches pattern: ${pattern}`,
+          { tool: toolName, pattern }
+        );
+      }
+
+      return {
+        examples: examples.filter(example => typeof example?.invocation?.want === 'string' &&
+          this.matcher.findIntent(intents, example.invocation.want) === intent)
+      };
+    } catch (err) {
+      if (err instanceof CMPError) throw err;
+      throw new CMPError(
+        ErrorCodes.INTERNAL_ERROR,
+        `Failed to load examples: ${err.message}`,
+        { tool: toolName, pattern, error: err.message }
+      );
+    }
+  }
+
+  /**
+   * Execute an intent
+   *
+   * @param {Object} params - cmp.intent params
+   * @param {Object} options - Execution options
+   * @param {Function} options.onOutput - Receives output chunks when
+   *   params.stream is true (see Executor.run)
+   * @param {Function} options.onStart - Called with { execution_id, tool, command }
+   *   once the execution is registered, before it waits for a scheduler slot
+   * @param {AbortSignal} options.signal - Cancels the execution when aborted
+   * @param {Function} options.allow - Only match tools this predicate accepts
+   */
+  async intent(params, options = {}) {
+    const {
+      want,
+      context = {},
+      confirm = false,
+      confirmation_token: confirmationToken,
+      strict = this.options.strictOutput ?? false,
+      dryRun = false,
+      stream = false,
+      tool: toolRef = null
+    } = params;
+
+    if (typeof want !== 'string' || !want.trim()) {
       throw new CMPError(
         ErrorCodes.INVALID_PARAMS,
         'Missing or invalid "want" parameter',
@@ -227,10 +517,17 @@ export class Router {
     }
 
     try {
-      // 1. Match intent to tool
-      const match = await this.matcher.match(want, this.registry);
+      // 1. Match intent to tool, or only to the tool named by `tool`
+      // (name or qualified domain/name), among the tools the caller may use
+      const scope = this.matchScope(toolRef, options.allow);
+
+      const match = await this.matcher.match(want, scope);
 
       if (!match) {
+        const denied = !toolRef && !options.allow && await this.matchDenied(want);
+        if (denied) {
+          throw new ToolDeniedError(denied);
+        }
         throw new NoMatchError(want);
       }
 
@@ -238,16 +535,36 @@ export class Router {
         throw new AmbiguousIntentError(want, match.candidates);
       }
 
-      // 2. Load capability and find specific intent
-      const capability = await this.registry.loadCapability(match.tool);
-      const intent = this.matcher.findIntent(capability.intents, want);
+      // 2. Use the best-ranked intent of the matched tool
+      const { intent } = match;
 
       if (!intent) {
         throw new NoMatchError(want);
       }
 
-      // 3. Validate parameters before proceeding
-      const validation = validateParams(context, intent.params || {});
+      // Evaluate policy rules (block / confirm / allow) for this intent
+      const decision = this.policy.evaluate(match.tool, intent);
+      if (decision.action === 'block') {
+        throw new PolicyBlockedError(match.tool.name, intent.patterns[0], decision.rule);
+      }
+
+      if (match.tool.available === false) {
+        throw new ToolUnavailableError(match.tool.name, binaryName(match.tool));
+      }
+
+      if (this.options.enforceRequires) {
+        const missing = this.registry.missingRequires(match.tool);
+        if (missing.length > 0) {
+          throw new RequirementsUnmetError(match.tool.name, missing);
+        }
+      }
+
+      // 3. Merge params captured from the want string (explicit context wins)
+      const captured = match.match?.captures || {};
+      const merged = { ...captured, ...context };
+
+      // 4. Validate parameters before proceeding
+      const validation = validateParams(merged, intent.params || {});
       if (!validation.valid) {
         throw new ValidationError(
           `Parameter validation failed: ${validation.errors.map(e => e.message).join('; ')}`,
@@ -255,32 +572,138 @@ export class Router {
         );
       }
 
-      // 4. Build command with sanitized parameters
-      const { command } = this.executor.buildCommand(intent, context);
+      // 5. Build command with sanitized parameters, pinned
+      // against the tool's resolved binary rather than whatever is on PATH
+      const built = this.executor.buildCommand(intent, merged, {
+        binary: { name: binaryName(match.tool), path: match.tool.binary_path }
+      });
+      const { command, argv } = built;
 
-      // 5. Check confirmation requirement
-      if (intent.confirm && !confirm) {
+      // Dry run: report what would execute without confirming or spawning
+      if (dryRun) {
         return {
-          success: false,
-          reason: 'confirmation_required',
+          success: true,
+          dry_run: true,
           tool: match.tool.name,
+          intent: intent.patterns[0],
+          params: built.validation.sanitized,
+          defaults_applied: Object.fromEntries(
+            built.validation.defaults.map(key => [key, built.validation.sanitized[key]])
+          ),
           command,
+          ...(argv && { argv }),
+          requires_confirm: decision.requires_confirm
+        };
+      }
+
+      // 6. Check confirmation requirement, binding it to the exact command
+      if (decision.requires_confirm) {
+        const binding = {
+          tool: match.tool.name,
           intent: intent.patterns[0],
-          destructive: intent.destructive || false,
-          message: `This action requires confirmation. Set confirm: true to proceed.`
+          params: validation.sanitized,
+          command
         };
+
+        if (!confirm) {
+          const { token, expires_at } = this.confirmations.issue(binding);
+
+          return {
+            success: false,
+            reason: 'confirmation_required',
+            tool: match.tool.name,
+            command,
+            intent: intent.patterns[0],
+            destructive: intent.destructive || false,
+            ...(decision.rule && { policy: decision.rule }),
+            confirmation_token: token,
+            expires_at,
+            message: `This action requires confirmation. Resend with confirm: true and the confirmation_token to proceed.`
+          };
+        }
+
+        const verification = this.confirmations.verify(confirmationToken, binding);
+        if (!verification.valid) {
+          throw new ConfirmationRequiredError(
+            match.tool.name,
+            command,
+            `Confirmation token ${verification.reason === 'missing' ? 'is required' : `rejected (${verification.reason})`}. Request a new preview with confirm: false.`,
+            { reason: verification.reason }
+          );
+        }
       }
 
-      // 6. Execute
-      const output = await this.executor.run(command);
+      // 7. Execute under a cancellable execution id once the scheduler has a
+      // slot for the tool, streaming output to the caller when requested
+      const streaming = stream && typeof options.onOutput === 'function';
+      const execution = this.startExecution(match.tool, command, options.signal);
+      options.onStart?.({ execution_id: execution.id, tool: match.tool.name, command });
+
+      let run;
+      try {
+        const release = await this.scheduler.acquire(match.tool, {
+          signal: execution.controller.signal
+        });
+
+        try {
+          run = await this.executor.runDetailed(argv || command, {
+            signal: execution.controller.signal,
+            maxOutputBytes: intent.maxOutputBytes,
+            overflow: intent.outputOverflow,
+            sandbox: resolveProfile(match.tool, this.options.sandbox),
+            ...(streaming && { onOutput: options.onOutput, ndjson: intent.ndjson === true })
+          });
+        } finally {
+          release();
+        }
+      } finally {
+        this.executions.delete(execution.id);
+      }
 
-      return {
+      // Output beyond maxOutputBytes was dropped, or spilled to output_file
+      const limits = {
+        truncated: run.truncated,
+        ...(run.output_file && { output_file: run.output_file })
+      };
+
+      if (streaming) {
+        return {
+          success: true,
+          execution_id: execution.id,
+          tool: match.tool.name,
+          command,
+          streamed: true,
+          exit_code: run.exit_code,
+          ...limits
+        };
+      }
+
+      const { output } = run;
+      const result = {
         success: true,
+        execution_id: execution.id,
         tool: match.tool.name,
         command,
-        output
+        output,
+        ...limits
       };
 
+      // 8. Check output shape against the intent's `returns` schema
+      if (intent.returns) {
+        const outputErrors = validateSchema(output, intent.returns);
+
+        if (outputErrors.length > 0 && strict) {
+          throw new OutputValidationError(match.tool.name, outputErrors, output);
+        }
+
+        result.output_valid = outputErrors.length === 0;
+        if (!result.output_valid) {
+          result.output_errors = outputErrors;
+        }
+      }
+
+      return result;
+
     } catch (err) {
       // Re-throw CMP errors as-is
       if (err instanceof CMPError || err instanceof ValidationError || err instanceof ExecutionError) {
@@ -297,15 +720,168 @@ export class Router {
   }
 
   /**
-   * Generate context snippet for AI agents
+   * Register a running execution, linked to an optional caller signal
+   */
+  startExecution(tool, command, signal) {
+    const execution = {
+      id: randomUUID(),
+      controller: new AbortController(),
+      tool: tool.name,
+      manifest: tool,
+      command,
+      started_at: Date.now()
+    };
+
+    if (signal?.aborted) {
+      execution.controller.abort();
+    } else {
+      signal?.addEventListener('abort', () => execution.controller.abort(), { once: true });
+    }
+
+    this.executions.set(execution.id, execution);
+    return execution;
+  }
+
+  /**
+   * Shut the router down: stop hot reload and every running command
+   * Commands run in their own process groups, so without this they would
+   * keep running after the router exits.
+   *
+   * @returns {Promise<void>} Resolves once every command has exited
+   */
+  async close() {
+    this.registry.disableHotReload();
+    await this.executor.close();
+  }
+
+  /**
+   * Cancel a running execution
+   * The process group gets SIGTERM, then SIGKILL if it does not exit, and the
+   * pending cmp.intent call fails with CANCELLED.
+   *
+   * @param {string} executionId - Id from cmp.intent (execution_id)
+   * @param {Object} options - Cancel options
+   * @param {Function} options.allow - Only cancel executions of tools this
+   *   predicate accepts
+   * @returns {{ execution_id: string, cancelled: boolean }} cancelled is false
+   *   when no such execution is running
+   */
+  cancel(executionId, options = {}) {
+    const execution = this.executions.get(executionId);
+
+    if (!execution || !this.visible(options.allow)(execution.manifest)) {
+      return { execution_id: executionId, cancelled: false };
+    }
+
+    execution.controller.abort();
+    return { execution_id: executionId, cancelled: true };
+  }
+
+  /**
+   * Explain how an intent resolves without executing anything
+   * Returns every scored candidate with the pattern and match kind behind it.
+   *
+   * @param {string} want - Intent to explain
+   * @param {Object} options - Explain options
+   * @param {Function} options.allow - Only consider tools this predicate accepts
    */
-  contextSnippet() {
-    const domains = this.registry.getDomains();
-    const manifests = this.registry.getAllManifests();
+  async explain(want, options = {}) {
+    if (typeof want !== 'string' || !want.trim()) {
+      throw new CMPError(
+        ErrorCodes.INVALID_PARAMS,
+        'Missing or invalid "want" parameter',
+        { received: typeof want }
+      );
+    }
 
-    const toolSummaries = manifests
-      .map(m => `- ${m.name} (${m.domain}): ${m.summary}`)
-      .join('\n');
+    const candidates = await this.matcher.rank(want, this.matchScope(null, options.allow));
+    const ambiguous = this.matcher.isAmbiguous(candidates);
+    const [best] = candidates;
+
+    const describe = candidate => ({
+      tool: candidate.tool.name,
+      domain: candidate.tool.domain,
+      intent: candidate.intent?.patterns?.[0] ?? null,
+      pattern: candidate.match?.pattern ?? null,
+      kind: candidate.match?.kind ?? null,
+      overlap: candidate.match?.overlap ?? [],
+      captures: candidate.match?.captures ?? {},
+      fields: candidate.fields,
+      score: candidate.score,
+      confidence: candidate.confidence
+    });
+
+    return {
+      want,
+      margin: this.matcher.margin,
+      ambiguous,
+      selected: best && best.intent && !ambiguous ? describe(best) : null,
+      candidates: candidates.map(describe)
+    };
+  }
+
+  /**
+   * Find the denied tool an intent would have matched, if any
+   *
+   * @returns {Promise<string|null>} Name of the denied tool
+   */
+  async matchDenied(want) {
+    const denied = this.registry.getDeniedManifests();
+    if (denied.length === 0) {
+      return null;
+    }
+
+    const match = await this.matcher.match(want, {
+      getAllManifests: () => denied,
+      loadCapability: tool => this.registry.loadCapability(tool),
+      loadExamples: tool => this.registry.loadExamples(tool)
+    });
+
+    if (!match) {
+      return null;
+    }
+
+    return match.ambiguous ? match.candidates[0].tool : match.tool.name;
+  }
+
+  /**
+   * Get a tool's first usable example, ignoring broken examples.json files
+   */
+  async firstExample(tool) {
+    try {
+      const examples = await this.registry.loadExamples(tool);
+      return examples.find(example => typeof example?.intent === 'string' &&
+        typeof example?.invocation?.want === 'string') || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Generate context snippet for AI agents
+   *
+   * @param {Object} options - Snippet options
+   * @param {boolean} options.examples - Add the first examples.json example
+   *   of each tool
+   * @param {Function} options.allow - Only describe tools this predicate accepts
+   * @returns {Promise<string>}
+   */
+  async contextSnippet(options = {}) {
+    const { domains } = this.domains({ allow: options.allow });
+    const manifests = this.registry.getAllManifests().filter(this.visible(options.allow));
+
+    const lines = [];
+    for (const m of manifests) {
+      lines.push(`- ${m.name} (${m.domain}): ${m.summary}${m.available === false ? ' [unavailable]' : ''}`);
+
+      if (options.examples) {
+        const example = await this.firstExample(m);
+        if (example) {
+          lines.push(`  e.g. "${example.intent}" → ${JSON.stringify(example.invocation)}`);
+        }
+      }
+    }
+    const toolSummaries = lines.join('\n');
 
     return `You have access to a Capability Router with ${manifests.length} tools.
 
@@ -316,7 +892,11 @@ ${toolSummaries}
 
 To use tools, send intents:
 { "want": "check email" }
-{ "want": "delete emails", "context": { "ids": [...] }, "confirm": true }
+{ "want": "delete emails", "context": { "ids": [...] } }
+
+Intents that need confirmation return a preview with a confirmation_token
+instead of running. To run one, resend the same request with "confirm": true
+and that "confirmation_token". Each token works once.
 
 Query cmp.capabilities for intent patterns. Query cmp.schema for parameters.`;
   }
@@ -325,5 +905,11 @@ Query cmp.capabilities for intent patterns. Query cmp.schema for parameters.`;
 // Re-export errors and utilities
 export { ValidationError } from './validator.js';
 export { ExecutionError } from './executor.js';
+export {
+  validateManifest,
+  validateCapability,
+  validateExamples,
+  validateTool
+} from './linter.js';
 
 export default Router;
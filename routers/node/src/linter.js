@@ -0,0 +1,564 @@
+/**
+ * Linter - Manifest, capability and examples validation against SPEC.md
+ *
+ * Used by `cmp validate`. The Registry runs validateManifest too, but only
+ * refuses manifests that are not objects or lack a usable `domain` or
+ * `name`; everything else is left for `cmp validate` to report.
+ * Every check produces an issue of the form { type, path, message }, split
+ * into errors (SPEC violations) and warnings (SHOULD-level advice).
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { PARAM_TYPES, validateType } from './validator.js';
+import { Matcher } from './matcher.js';
+import { OVERFLOW_ACTIONS } from './executor.js';
+import { validateSandbox } from './sandbox.js';
+import { CAPABILITY_FILE, readCapabilityFiles } from './capability.js';
+
+/**
+ * Maximum manifest summary length per SPEC.md §3.1
+ */
+export const MAX_SUMMARY_LENGTH = 100;
+
+/**
+ * Manifest token budget per SPEC.md §3.4
+ */
+export const MANIFEST_TOKEN_BUDGET = 50;
+
+const SEMVER = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const PLACEHOLDER = /\{(\w+)(\.\.\.)?\}/g;
+
+/**
+ * Create an issue collector
+ */
+function createReport() {
+  const errors = [];
+  const warnings = [];
+
+  return {
+    errors,
+    warnings,
+    error: (type, path, message) => errors.push({ type, path, message }),
+    warn: (type, path, message) => warnings.push({ type, path, message }),
+    result: extra => ({ valid: errors.length === 0, errors, warnings, ...extra })
+  };
+}
+
+/**
+ * Rough token estimate for minified JSON (~4 characters per token)
+ *
+ * @param {*} value - JSON value
+ * @returns {number}
+ */
+export function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/**
+ * Validate a manifest.json object
+ *
+ * @param {Object} manifest - Parsed manifest
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }}
+ */
+export function validateManifest(manifest) {
+  const report = createReport();
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    report.error('invalid_type', '$', 'Manifest must be a JSON object');
+    return report.result();
+  }
+
+  for (const field of ['domain', 'name', 'summary', 'version']) {
+    if (manifest[field] === undefined) {
+      report.error('missing_required', field, `Required field '${field}' is missing`);
+    } else if (typeof manifest[field] !== 'string' || !manifest[field].trim()) {
+      report.error('invalid_type', field, `Field '${field}' must be a non-empty string`);
+    }
+  }
+
+  if (typeof manifest.summary === 'string') {
+    if (manifest.summary.length > MAX_SUMMARY_LENGTH) {
+      report.error(
+        'summary_too_long',
+        'summary',
+        `Summary is ${manifest.summary.length} characters (max ${MAX_SUMMARY_LENGTH})`
+      );
+    }
+    if (manifest.summary.includes('\n')) {
+      report.error('summary_multiline', 'summary', 'Summary must be a single line');
+    }
+  }
+
+  if (typeof manifest.version === 'string' && manifest.version.trim() && !SEMVER.test(manifest.version)) {
+    report.error('invalid_semver', 'version', `Version '${manifest.version}' is not valid semver`);
+  }
+
+  for (const field of ['binary', 'wraps']) {
+    if (manifest[field] !== undefined && (typeof manifest[field] !== 'string' || !manifest[field])) {
+      report.error('invalid_type', field, `Field '${field}' must be a non-empty string`);
+    }
+  }
+
+  for (const field of ['requires', 'tags']) {
+    const value = manifest[field];
+    if (value !== undefined && (!Array.isArray(value) || !value.every(item => typeof item === 'string'))) {
+      report.error('invalid_type', field, `Field '${field}' must be an array of strings`);
+    }
+  }
+
+  if (manifest.adapter !== undefined && typeof manifest.adapter !== 'boolean') {
+    report.error('invalid_type', 'adapter', "Field 'adapter' must be a boolean");
+  }
+
+  if (manifest.adapter === true && !manifest.wraps) {
+    report.warn('adapter_without_wraps', 'wraps', "Adapters should declare the wrapped binary in 'wraps'");
+  }
+
+  if (manifest.concurrency !== undefined &&
+      (!Number.isInteger(manifest.concurrency) || manifest.concurrency <= 0)) {
+    report.error('invalid_type', 'concurrency', "Field 'concurrency' must be a positive integer");
+  }
+
+  if (manifest.sandbox !== undefined) {
+    for (const message of validateSandbox(manifest.sandbox)) {
+      report.error('invalid_sandbox', 'sandbox', message);
+    }
+  }
+
+  // The sandbox profile and concurrency limit are for the router, not agents,
+  // so they do not count
+  const { sandbox: _sandbox, concurrency: _concurrency, ...advertised } = manifest;
+  const tokens = estimateTokens(advertised);
+  if (tokens > MANIFEST_TOKEN_BUDGET) {
+    report.warn(
+      'token_budget',
+      '$',
+      `Manifest is ~${tokens} tokens when minified (budget ${MANIFEST_TOKEN_BUDGET})`
+    );
+  }
+
+  return report.result({ tokens });
+}
+
+/**
+ * Validate a capability.json object
+ *
+ * @param {Object} capability - Parsed capability
+ * @returns {{ valid: boolean, errors: Array, warnings: Array, intents: number }}
+ */
+export function validateCapability(capability) {
+  const report = createReport();
+
+  if (!capability || typeof capability !== 'object' || Array.isArray(capability)) {
+    report.error('invalid_type', '$', 'Capability must be a JSON object');
+    return report.result({ intents: 0 });
+  }
+
+  if (capability.include !== undefined &&
+      (!Array.isArray(capability.include) ||
+        !capability.include.every(pattern => typeof pattern === 'string' && pattern.length > 0))) {
+    report.error('invalid_type', 'include', 'include must be an array of paths or globs');
+  }
+
+  // Intents may live entirely in included files
+  if (capability.intents === undefined && Array.isArray(capability.include)) {
+    return report.result({ intents: 0 });
+  }
+
+  if (!Array.isArray(capability.intents)) {
+    report.error('missing_required', 'intents', "Required field 'intents' must be an array");
+    return report.result({ intents: 0 });
+  }
+
+  if (capability.intents.length === 0 && !capability.include) {
+    report.warn('no_intents', 'intents', 'Capability defines no intents');
+  }
+
+  capability.intents.forEach((intent, index) => {
+    validateIntent(intent, `intents[${index}]`, report);
+  });
+
+  return report.result({ intents: capability.intents.length });
+}
+
+/**
+ * Validate a single intent definition
+ */
+function validateIntent(intent, path, report) {
+  if (!intent || typeof intent !== 'object' || Array.isArray(intent)) {
+    report.error('invalid_type', path, 'Intent must be an object');
+    return;
+  }
+
+  // Patterns
+  if (!Array.isArray(intent.patterns) || intent.patterns.length === 0) {
+    report.error('missing_required', `${path}.patterns`, 'Intent must declare at least one pattern');
+  } else {
+    intent.patterns.forEach((pattern, i) => {
+      const patternPath = `${path}.patterns[${i}]`;
+
+      if (typeof pattern !== 'string' || !pattern.trim()) {
+        report.error('invalid_type', patternPath, 'Pattern must be a non-empty string');
+        return;
+      }
+
+      if (pattern.startsWith('re:')) {
+        try {
+          new RegExp(pattern.slice(3), 'i');
+        } catch (err) {
+          report.error('invalid_regex', patternPath, `Invalid regex pattern: ${err.message}`);
+          return;
+        }
+
+        for (const [, group] of pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)) {
+          if (!intent.params || !(group in intent.params)) {
+            report.warn('undeclared_capture', patternPath, `Capture group '${group}' has no matching params entry`);
+          }
+        }
+      }
+    });
+  }
+
+  // Invocation
+  const hasCommand = typeof intent.command === 'string' && intent.command.trim();
+  const hasArgv = Array.isArray(intent.argv);
+
+  if (!hasCommand && !hasArgv) {
+    report.error('missing_required', `${path}.command`, "Intent must declare a 'command' string or 'argv' array");
+  }
+
+  if (intent.command !== undefined && !hasCommand) {
+    report.error('invalid_type', `${path}.command`, "Field 'command' must be a non-empty string");
+  }
+
+  if (hasArgv && (intent.argv.length === 0 || !intent.argv.every(part => typeof part === 'string'))) {
+    report.error('invalid_type', `${path}.argv`, "Field 'argv' must be a non-empty array of strings");
+  }
+
+  // Params
+  const params = intent.params || {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    report.error('invalid_type', `${path}.params`, "Field 'params' must be an object");
+  } else {
+    for (const [name, def] of Object.entries(params)) {
+      validateParamDef(def, `${path}.params.${name}`, report);
+    }
+  }
+
+  // Placeholders must map to declared params
+  const placeholders = new Map(); // name -> location of first use
+  if (hasCommand) {
+    collectPlaceholders(intent.command, placeholders, `${path}.command`, report);
+  }
+  if (hasArgv) {
+    intent.argv.forEach((part, i) => {
+      if (typeof part === 'string') {
+        collectPlaceholders(part, placeholders, `${path}.argv[${i}]`, report);
+      }
+    });
+  }
+
+  for (const [name, location] of placeholders) {
+    if (!(name in params)) {
+      report.error(
+        'undeclared_placeholder',
+        location,
+        `Placeholder '{${name}}' has no matching params entry`
+      );
+    }
+  }
+
+  for (const name of Object.keys(params)) {
+    if (!placeholders.has(name)) {
+      report.warn('unused_param', `${path}.params.${name}`, `Param '${name}' is not used in the command`);
+    }
+  }
+
+  // Behavior flags
+  for (const flag of ['confirm', 'destructive', 'idempotent', 'ndjson']) {
+    if (intent[flag] !== undefined && typeof intent[flag] !== 'boolean') {
+      report.error('invalid_type', `${path}.${flag}`, `Field '${flag}' must be a boolean`);
+    }
+  }
+
+  if (intent.destructive === true && intent.confirm !== true) {
+    report.warn('destructive_without_confirm', `${path}.confirm`, 'Destructive intents always require confirmation; set confirm: true to make it explicit');
+  }
+
+  if (intent.maxOutputBytes !== undefined &&
+      (!Number.isInteger(intent.maxOutputBytes) || intent.maxOutputBytes <= 0)) {
+    report.error('invalid_type', `${path}.maxOutputBytes`, "Field 'maxOutputBytes' must be a positive integer");
+  }
+
+  if (intent.outputOverflow !== undefined && !OVERFLOW_ACTIONS.includes(intent.outputOverflow)) {
+    report.error('invalid_value', `${path}.outputOverflow`, `Field 'outputOverflow' must be one of: ${OVERFLOW_ACTIONS.join(', ')}`);
+  }
+
+  if (intent.returns !== undefined &&
+      (typeof intent.returns !== 'object' || intent.returns === null || Array.isArray(intent.returns))) {
+    report.error('invalid_type', `${path}.returns`, "Field 'returns' must be a JSON Schema object");
+  } else if (intent.returns !== undefined) {
+    for (const [patternPath, pattern] of schemaPatterns(intent.returns, `${path}.returns`)) {
+      try {
+        new RegExp(pattern);
+      } catch (err) {
+        report.error('invalid_regex', patternPath, `Invalid regex pattern: ${err.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Collect the `pattern` keywords of a JSON Schema and its subschemas
+ *
+ * @returns {Array<[string, string]>} [path, pattern] pairs
+ */
+function schemaPatterns(schema, path) {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  const found = typeof schema.pattern === 'string' ? [[`${path}.pattern`, schema.pattern]] : [];
+
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    found.push(...schemaPatterns(sub, `${path}.properties.${key}`));
+  }
+  (Array.isArray(schema.anyOf) ? schema.anyOf : []).forEach((sub, i) => {
+    found.push(...schemaPatterns(sub, `${path}.anyOf[${i}]`));
+  });
+  found.push(...schemaPatterns(schema.items, `${path}.items`));
+  found.push(...schemaPatterns(schema.additionalProperties, `${path}.additionalProperties`));
+
+  return found;
+}
+
+/**
+ * Collect placeholder names from a command template
+ */
+function collectPlaceholders(template, names, path, report) {
+  for (const [, name, spread] of template.matchAll(PLACEHOLDER)) {
+    if (!names.has(name)) names.set(name, path);
+    if (spread && !path.includes('.argv[')) {
+      report.error('invalid_placeholder', path, `Spread placeholder '{${name}...}' is only valid in argv`);
+    }
+  }
+}
+
+/**
+ * Validate a single param definition
+ */
+function validateParamDef(def, path, report) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    report.error('invalid_type', path, 'Param definition must be an object');
+    return;
+  }
+
+  if (def.type !== undefined && !PARAM_TYPES.includes(def.type)) {
+    report.error('unknown_type', `${path}.type`, `Unknown param type '${def.type}' (expected one of: ${PARAM_TYPES.join(', ')})`);
+  }
+
+  if (def.required !== undefined && typeof def.required !== 'boolean') {
+    report.error('invalid_type', `${path}.required`, "Field 'required' must be a boolean");
+  }
+
+  if (def.enum !== undefined && (!Array.isArray(def.enum) || def.enum.length === 0)) {
+    report.error('invalid_type', `${path}.enum`, "Field 'enum' must be a non-empty array");
+  }
+
+  if (def.default === undefined) {
+    return;
+  }
+
+  if (def.required === true) {
+    report.warn('required_with_default', `${path}.default`, 'Required params never use their default');
+  }
+
+  if (def.type && PARAM_TYPES.includes(def.type) && !validateType(def.default, def.type).valid) {
+    report.error('default_type_mismatch', `${path}.default`, `Default does not match type '${def.type}'`);
+  }
+
+  if (Array.isArray(def.enum) && !def.enum.includes(def.default)) {
+    report.error('enum_default_conflict', `${path}.default`, `Default ${JSON.stringify(def.default)} is not one of the enum values`);
+  }
+}
+
+/**
+ * Validate an examples.json object
+ *
+ * @param {Object} examples - Parsed examples file
+ * @param {Object} capability - Parsed capability, used to check each example resolves
+ * @returns {{ valid: boolean, errors: Array, warnings: Array }}
+ */
+export function validateExamples(examples, capability = null) {
+  const report = createReport();
+
+  if (!examples || typeof examples !== 'object' || !Array.isArray(examples.examples)) {
+    report.error('missing_required', 'examples', "Required field 'examples' must be an array");
+    return report.result();
+  }
+
+  const matcher = new Matcher();
+  const intents = Array.isArray(capability?.intents) ? capability.intents : null;
+
+  examples.examples.forEach((example, index) => {
+    const path = `examples[${index}]`;
+
+    if (typeof example?.intent !== 'string' || !example.intent.trim()) {
+      report.error('missing_required', `${path}.intent`, "Example must have an 'intent' string");
+    }
+
+    const want = example?.invocation?.want;
+    if (typeof want !== 'string' || !want.trim()) {
+      report.error('missing_required', `${path}.invocation.want`, "Example must have an 'invocation.want' string");
+      return;
+    }
+
+    if (intents && !matcher.findIntent(intents, want)) {
+      report.warn('unmatched_example', `${path}.invocation.want`, `'${want}' does not match any intent`);
+    }
+  });
+
+  return report.result();
+}
+
+/**
+ * Locate a tool's CMP directory
+ * Accepts the tool root or the cmp/ directory itself.
+ */
+function findCmpDir(toolPath) {
+  const candidates = [join(toolPath, 'cmp'), join(toolPath, '.cmp'), toolPath];
+  return candidates.find(dir => existsSync(join(dir, 'manifest.json'))) || null;
+}
+
+/**
+ * Read and parse a JSON file, recording parse errors in the report
+ */
+async function readJson(filePath, report) {
+  try {
+    return JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (err) {
+    report.error('invalid_json', '$', `Failed to parse ${filePath}: ${err.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Validate capability.json and each file it includes, adding a report per
+ * file to `files`
+ *
+ * @returns {Promise<Object|null>} The merged capability, or null if
+ *   capability.json is unreadable
+ */
+async function validateCapabilityFiles(cmpDir, files) {
+  const { files: contents, errors } = await readCapabilityFiles(cmpDir);
+  const root = contents.get(CAPABILITY_FILE);
+  const intents = [];
+
+  for (const [file, content] of contents) {
+    const report = createReport();
+    const loadErrors = errors.filter(e => e.file === file);
+
+    if (content === undefined) {
+      loadErrors.forEach(e => report.error('invalid_json', '$', e.message));
+      files[file] = report.result({ intents: 0 });
+      continue;
+    }
+
+    const result = validateCapability(content);
+
+    if (file !== CAPABILITY_FILE && content?.include !== undefined) {
+      result.errors.push({ type: 'nested_include', path: 'include', message: 'Included files cannot include other files' });
+    }
+    if (file === CAPABILITY_FILE && !result.errors.some(e => e.path === 'include')) {
+      loadErrors.forEach(e => result.errors.push({ type: 'invalid_include', path: 'include', message: e.message }));
+    }
+
+    result.valid = result.errors.length === 0;
+    files[file] = result;
+    intents.push(...(Array.isArray(content?.intents) ? content.intents : []));
+  }
+
+  // Literal includes that don't exist
+  for (const { file, message } of errors) {
+    if (contents.has(file)) continue;
+
+    const report = createReport();
+    report.error('missing_file', '$', message);
+    files[file] = report.result({ intents: 0 });
+  }
+
+  if (root === undefined) {
+    return null;
+  }
+
+  if (contents.size > 1 && files[CAPABILITY_FILE].valid) {
+    files[CAPABILITY_FILE].intents = intents.length;
+  }
+
+  return { ...root, intents };
+}
+
+/**
+ * Validate all CMP files of a tool directory
+ *
+ * @param {string} toolPath - Tool root (containing cmp/) or the cmp/ directory
+ * @returns {Promise<{ path: string, valid: boolean, files: Object }>}
+ */
+export async function validateTool(toolPath) {
+  const cmpDir = findCmpDir(toolPath);
+
+  if (!cmpDir) {
+    const report = createReport();
+    report.error('missing_file', 'manifest.json', `No cmp/manifest.json or .cmp/manifest.json found in ${toolPath}`);
+    return { path: toolPath, valid: false, files: { 'manifest.json': report.result() } };
+  }
+
+  const files = {};
+
+  // manifest.json
+  const manifestReport = createReport();
+  const manifest = await readJson(join(cmpDir, 'manifest.json'), manifestReport);
+  files['manifest.json'] = manifest === undefined
+    ? manifestReport.result()
+    : validateManifest(manifest);
+
+  // capability.json, plus one report per included file
+  let capability = null;
+  const capabilityPath = join(cmpDir, CAPABILITY_FILE);
+
+  if (!existsSync(capabilityPath)) {
+    const capabilityReport = createReport();
+    capabilityReport.error('missing_file', 'capability.json', 'capability.json is required');
+    files[CAPABILITY_FILE] = capabilityReport.result({ intents: 0 });
+  } else {
+    capability = await validateCapabilityFiles(cmpDir, files);
+  }
+
+  // examples.json (optional)
+  const examplesPath = join(cmpDir, 'examples.json');
+  if (existsSync(examplesPath)) {
+    const examplesReport = createReport();
+    const examples = await readJson(examplesPath, examplesReport);
+    files['examples.json'] = examples === undefined
+      ? examplesReport.result()
+      : validateExamples(examples, capability);
+  }
+
+  return {
+    path: cmpDir,
+    valid: Object.values(files).every(file => file.valid),
+    files
+  };
+}
+
+export default {
+  validateManifest,
+  validateCapability,
+  validateExamples,
+  validateTool,
+  estimateTokens,
+  MAX_SUMMARY_LENGTH,
+  MANIFEST_TOKEN_BUDGET
+};
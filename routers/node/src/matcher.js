@@ -1,109 +1,459 @@
 /**
  * Matcher - Intent matching logic
+ *
+ * Every intent of every tool is scored against the intent string and the
+ * candidates are ranked, so capability.json order never decides outcomes.
+ *
+ * Scoring combines:
+ * - BM25 over weighted fields: patterns, example phrases (examples.json
+ *   `intent`s, attached to the intent their `invocation.want` resolves to),
+ *   tool summary, tags, param descriptions
+ * - A bonus for the best pattern hit: regex > substring > word overlap.
+ *   Pattern words are weighed by their IDF among the patterns: an overlap
+ *   must cover at least half a pattern's weight and earns that share of the
+ *   bonus, so sharing a word like "email" that most patterns have is no hit
+ *
+ * Intents that only share words with their tool's summary or tags collapse
+ * into a single intent-less candidate per tool, as do tools whose
+ * capabilities cannot be loaded. Intent-less candidates are only returned
+ * when no intent matched at all.
  */
 
+/**
+ * Field weights for BM25F-style scoring
+ */
+const FIELD_WEIGHTS = {
+  patterns: 3,
+  examples: 2,
+  summary: 1,
+  tags: 1,
+  params: 0.5
+};
+
+/**
+ * Bonus added for the best pattern hit, by match kind
+ */
+const PATTERN_BONUS = {
+  regex: 3,
+  substring: 2,
+  overlap: 1
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Default relative score margin under which the top two candidates are ambiguous
+ */
+export const DEFAULT_MARGIN = 0.1;
+
+/**
+ * Words too common to carry intent
+ */
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'all', 'any', 'from', 'into', 'this', 'that',
+  'these', 'those', 'some', 'please', 'can', 'you', 'your', 'want', 'need'
+]);
+
+/**
+ * Fold a plural word onto its singular, so "emails" and "email" are one term
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+export function singular(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss')
+    ? word.slice(0, -1)
+    : word;
+}
+
+/**
+ * Split text into lowercase singular terms, ignoring short words and stopwords
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/\W+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(singular);
+}
+
+/**
+ * Collect the defined named capture groups of a regex match
+ *
+ * @param {RegExpExecArray} result - Regex match result
+ * @returns {Object} Group name -> captured string
+ */
+export function extractCaptures(result) {
+  const captures = {};
+
+  for (const [name, value] of Object.entries(result.groups || {})) {
+    if (value !== undefined) {
+      captures[name] = value;
+    }
+  }
+
+  return captures;
+}
+
 export class Matcher {
+  /**
+   * @param {Object} options - Matcher options
+   * @param {number} options.margin - Relative score gap below which the top
+   *   two candidates are reported as ambiguous (default: 0.1)
+   */
+  constructor(options = {}) {
+    this.margin = options.margin ?? DEFAULT_MARGIN;
+  }
+
   /**
    * Match an intent string to a registered tool
+   *
+   * @returns {Promise<Object|null>} Best candidate ({ tool, intent, score,
+   *   confidence, candidates }), an ambiguity report, or null
    */
   async match(intentStr, registry) {
-    const normalizedIntent = intentStr.toLowerCase().trim();
-    const candidates = [];
+    const candidates = await this.rank(intentStr, registry);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (this.isAmbiguous(candidates)) {
+      return {
+        ambiguous: true,
+        candidates: candidates
+          .filter(c => this.isAmbiguous([candidates[0], c]))
+          .map(c => ({
+            tool: c.tool.name,
+            domain: c.tool.domain,
+            intent: c.intent?.patterns?.[0],
+            score: c.score,
+            confidence: c.confidence
+          }))
+      };
+    }
+
+    return {
+      ...candidates[0],
+      candidates
+    };
+  }
+
+  /**
+   * Score every intent of every registered tool
+   *
+   * @returns {Promise<Array>} Candidates sorted by score descending
+   */
+  async rank(intentStr, registry) {
+    const documents = [];
 
-    // Check all tools for matching patterns
     for (const tool of registry.getAllManifests()) {
-      // First, check if intent matches domain keywords in summary
-      if (this.matchesSummary(normalizedIntent, tool.summary)) {
-        candidates.push({ tool, score: 0.5 });
-      }
+      let intents = [];
 
-      // Then, try to load and match against capability patterns
       try {
         const capability = await registry.loadCapability(tool);
-        const intentMatch = this.findIntent(capability.intents, normalizedIntent);
-
-        if (intentMatch) {
-          candidates.push({ tool, intent: intentMatch, score: 1.0 });
-        }
+        intents = capability.intents || [];
       } catch {
-        // Capability not available, skip
+        // Capability not available, fall back to summary matching
+      }
+
+      if (intents.length === 0) {
+        documents.push(this.buildDocument(tool, null));
+        continue;
+      }
+
+      const phrases = await this.examplePhrases(tool, intents, registry);
+
+      for (const intent of intents) {
+        documents.push(this.buildDocument(tool, intent, phrases.get(intent)));
       }
     }
 
-    if (candidates.length === 0) {
-      return null;
+    return this.score(intentStr, documents);
+  }
+
+  /**
+   * Score intents of a single capability
+   *
+   * @param {Array} intents - Capability intents
+   * @param {string} intentStr - Intent string
+   * @param {Object} tool - Optional tool manifest for summary/tag context
+   * @returns {Array} Candidates sorted by score descending
+   */
+  rankIntents(intents, intentStr, tool = null) {
+    const documents = intents.map(intent => this.buildDocument(tool, intent));
+    return this.score(intentStr, documents);
+  }
+
+  /**
+   * Find the best matching intent within a capability's intents
+   */
+  findIntent(intents, intentStr) {
+    const [best] = this.rankIntents(intents, intentStr)
+      .filter(candidate => candidate.match);
+
+    return best ? best.intent : null;
+  }
+
+  /**
+   * Group a tool's example phrases by the intent each example invokes
+   *
+   * @returns {Promise<Map<Object, string[]>>} Intent -> example `intent` phrases
+   */
+  async examplePhrases(tool, intents, registry) {
+    const phrases = new Map();
+    let examples = [];
+
+    try {
+      examples = await registry.loadExamples?.(tool) || [];
+    } catch {
+      // Broken examples.json only loses the extra signal
     }
 
-    // Sort by score descending
-    candidates.sort((a, b) => b.score - a.score);
+    for (const example of examples) {
+      const want = example?.invocation?.want;
+      if (typeof example?.intent !== 'string' || typeof want !== 'string') continue;
 
-    // If top two scores are equal, it's ambiguous
-    if (candidates.length > 1 && candidates[0].score === candidates[1].score) {
-      return {
-        ambiguous: true,
-        candidates: candidates.map(c => ({
-          tool: c.tool.name,
-          domain: c.tool.domain
-        }))
-      };
+      const intent = this.findIntent(intents, want);
+      if (!intent) continue;
+
+      if (!phrases.has(intent)) {
+        phrases.set(intent, []);
+      }
+      phrases.get(intent).push(example.intent);
     }
 
-    return candidates[0];
+    return phrases;
   }
 
   /**
-   * Check if intent matches tool summary keywords
+   * Check if the top candidate is within the margin of the runner-up
    */
-  matchesSummary(intent, summary) {
-    const summaryWords = summary.toLowerCase().split(/\W+/);
-    const intentWords = intent.split(/\W+/);
+  isAmbiguous(candidates) {
+    if (candidates.length < 2) {
+      return false;
+    }
+
+    const [first, second] = candidates;
+    return (first.score - second.score) / first.score < this.margin;
+  }
 
-    // Simple keyword overlap
-    const overlap = intentWords.filter(word =>
-      summaryWords.includes(word) && word.length > 2
-    );
+  /**
+   * Build a scoring document for a tool intent (or a tool without intents)
+   *
+   * @param {Object} tool - Tool manifest
+   * @param {Object|null} intent - Intent definition
+   * @param {string[]} examples - Example phrases that invoke this intent
+   */
+  buildDocument(tool, intent, examples = []) {
+    const params = Object.values(intent?.params || {})
+      .map(def => def?.description || '')
+      .join(' ');
 
-    return overlap.length >= 1;
+    return {
+      tool,
+      intent,
+      fields: {
+        patterns: (intent?.patterns || [])
+          .filter(pattern => !pattern.startsWith('re:'))
+          .flatMap(tokenize),
+        examples: examples.flatMap(tokenize),
+        summary: tokenize(tool?.summary),
+        tags: (tool?.tags || []).flatMap(tokenize),
+        params: tokenize(params)
+      }
+    };
   }
 
   /**
-   * Find a matching intent within a capability's intents
+   * Score documents against an intent string
    */
-  findIntent(intents, intentStr) {
+  score(intentStr, documents) {
     const normalized = intentStr.toLowerCase().trim();
+    const queryTerms = [...new Set(tokenize(normalized))];
+    const stats = this.corpusStats(documents);
+
+    const intentCandidates = [];
+    const toolCandidates = new Map(); // tool -> best intent-less candidate
+
+    const idf = term => this.idf(term, stats, stats.patternDf);
 
-    for (const intent of intents) {
-      for (const pattern of intent.patterns) {
-        // Check for regex pattern
-        if (pattern.startsWith('re:')) {
-          const regex = new RegExp(pattern.slice(3), 'i');
-          if (regex.test(normalized)) {
-            return intent;
-          }
+    for (const doc of documents) {
+      const match = normalized
+        ? this.matchPatterns(doc.intent?.patterns || [], intentStr.trim(), idf)
+        : null;
+      const { score: bm25, fields } = this.bm25(queryTerms, doc, stats);
+      const score = Math.round((bm25 + (match ? match.bonus : 0)) * 1000) / 1000;
+
+      if (score <= 0) continue;
+
+      const intentSpecific = match || fields.has('patterns') || fields.has('examples') || fields.has('params');
+
+      if (doc.intent && intentSpecific) {
+        intentCandidates.push({ tool: doc.tool, intent: doc.intent, score, match, fields: [...fields] });
+        continue;
+      }
+
+      const existing = toolCandidates.get(doc.tool);
+      if (!existing || existing.score < score) {
+        toolCandidates.set(doc.tool, { tool: doc.tool, intent: undefined, score, match: null, fields: [...fields] });
+      }
+    }
+
+    const candidates = intentCandidates.length > 0
+      ? intentCandidates
+      : Array.from(toolCandidates.values());
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const total = candidates.reduce((sum, c) => sum + c.score, 0);
+    for (const candidate of candidates) {
+      candidate.confidence = Math.round((candidate.score / total) * 1000) / 1000;
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Find the strongest pattern hit for an intent
+   * Named capture groups of `re:` patterns are returned as `captures`,
+   * taken from the original (non-lowercased) intent string.
+   *
+   * @param {string[]} patterns - Intent patterns
+   * @param {string} intentStr - Intent string
+   * @param {Function} idf - Term -> inverse document frequency, used to weigh
+   *   overlapping words (default: every word weighs the same)
+   * @returns {{ pattern: string, kind: string, bonus: number, overlap: string[], captures: Object }|null}
+   */
+  matchPatterns(patterns, intentStr, idf = () => 1) {
+    const normalized = intentStr.toLowerCase();
+    let best = null;
+    const intentWords = normalized.split(/\W+/).map(singular);
+
+    for (const pattern of patterns) {
+      let hit = null;
+
+      if (pattern.startsWith('re:')) {
+        // Check for regex pattern; an invalid one never matches, so a single
+        // broken capability can't fail matching for every tool
+        let result = null;
+        try {
+          result = new RegExp(pattern.slice(3), 'i').exec(intentStr);
+        } catch {
           continue;
         }
-
-        // Substring match
-        const normalizedPattern = pattern.toLowerCase();
-        if (normalized.includes(normalizedPattern) ||
-            normalizedPattern.includes(normalized)) {
-          return intent;
+        if (result) {
+          hit = { pattern, kind: 'regex', bonus: PATTERN_BONUS.regex, overlap: [], captures: extractCaptures(result) };
         }
-
-        // Word overlap match
+      } else {
+        const normalizedPattern = pattern.toLowerCase();
         const patternWords = normalizedPattern.split(/\W+/);
-        const intentWords = normalized.split(/\W+/);
         const overlap = patternWords.filter(w =>
-          intentWords.includes(w) && w.length > 2
+          intentWords.includes(singular(w)) && w.length > 2
         );
 
-        if (overlap.length >= patternWords.length * 0.5) {
-          return intent;
+        const weight = terms => terms.reduce((sum, term) => sum + idf(term), 0);
+        const terms = tokenize(normalizedPattern);
+        const share = weight(terms) > 0
+          ? weight(terms.filter(term => overlap.some(w => singular(w) === term))) / weight(terms)
+          : 0;
+
+        if (normalized.includes(normalizedPattern)) {
+          // Substring match
+          hit = { pattern, kind: 'substring', bonus: PATTERN_BONUS.substring, overlap, captures: {} };
+        } else if (overlap.length > 0 && share >= 0.5) {
+          // Word overlap match
+          hit = { pattern, kind: 'overlap', bonus: PATTERN_BONUS.overlap * share, overlap, captures: {} };
         }
       }
+
+      if (hit && (!best || hit.bonus > best.bonus ||
+          (hit.bonus === best.bonus && hit.overlap.length > best.overlap.length))) {
+        best = hit;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Compute document frequencies and average field lengths
+   * `patternDf` counts pattern fields only: a tool's summary and tags are in
+   * every one of its documents, so they would hide how distinctive a word is
+   * among the patterns.
+   */
+  corpusStats(documents) {
+    const df = new Map();
+    const patternDf = new Map();
+    let totalLength = 0;
+    const count = (map, terms) => {
+      for (const term of new Set(terms)) {
+        map.set(term, (map.get(term) || 0) + 1);
+      }
+    };
+
+    for (const doc of documents) {
+      count(df, Object.values(doc.fields).flat());
+      count(patternDf, doc.fields.patterns);
+      totalLength += this.weightedLength(doc);
+    }
+
+    return {
+      df,
+      patternDf,
+      count: documents.length,
+      avgLength: documents.length ? totalLength / documents.length : 0
+    };
+  }
+
+  /**
+   * BM25 inverse document frequency of a term
+   *
+   * @param {string} term - Term
+   * @param {Object} stats - Corpus stats
+   * @param {Map} frequencies - Document frequencies to use (default: all fields)
+   */
+  idf(term, stats, frequencies = stats.df) {
+    const df = frequencies.get(term) || 0;
+    return Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Weighted document length across fields
+   */
+  weightedLength(doc) {
+    return Object.entries(doc.fields)
+      .reduce((sum, [field, terms]) => sum + FIELD_WEIGHTS[field] * terms.length, 0);
+  }
+
+  /**
+   * BM25F score of a document for the query terms
+   *
+   * @returns {{ score: number, fields: Set<string> }} Score and the fields that matched
+   */
+  bm25(queryTerms, doc, stats) {
+    const length = this.weightedLength(doc);
+    const norm = 1 - BM25_B + BM25_B * (stats.avgLength ? length / stats.avgLength : 0);
+    const fields = new Set();
+    let score = 0;
+
+    for (const term of queryTerms) {
+      let tf = 0;
+      for (const [field, terms] of Object.entries(doc.fields)) {
+        const count = terms.filter(t => t === term).length;
+        if (count > 0) fields.add(field);
+        tf += FIELD_WEIGHTS[field] * count;
+      }
+      if (tf === 0) continue;
+
+      score += this.idf(term, stats) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
     }
 
-    return null;
+    return { score, fields };
   }
 }
 
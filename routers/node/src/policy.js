@@ -0,0 +1,133 @@
+/**
+ * Policy - Execution policy evaluated before an intent runs
+ *
+ * Rules come from the `policies` config array. Each rule selects intents by
+ * any combination of `tool` (name, glob or "domain:name"), `domain` (glob)
+ * and `intent` (glob matched against the intent's patterns), and applies
+ * an action:
+ *
+ * - "block":   refuse to run the intent at all
+ * - "confirm": always require confirmation
+ * - "allow":   auto-approve, skipping confirmation for non-destructive
+ *              intents that declare `idempotent: true`
+ *
+ * When several rules match, block wins over confirm, which wins over allow.
+ * Destructive intents are always treated as confirm: true (SPEC.md §8.2).
+ */
+
+import { globToRegExp, matchesToolEntry } from './access.js';
+
+export const PolicyActions = {
+  BLOCK: 'block',
+  CONFIRM: 'confirm',
+  ALLOW: 'allow'
+};
+
+const ACTION_PRECEDENCE = [PolicyActions.BLOCK, PolicyActions.CONFIRM, PolicyActions.ALLOW];
+
+/**
+ * Validate policy rules
+ *
+ * @param {Array} rules - Policy rules from config
+ * @returns {string[]} Error messages
+ */
+export function validatePolicies(rules) {
+  if (!Array.isArray(rules)) {
+    return ['policies must be an array of rules'];
+  }
+
+  const errors = [];
+
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`policies[${index}] must be an object`);
+      return;
+    }
+
+    if (!ACTION_PRECEDENCE.includes(rule.action)) {
+      errors.push(`policies[${index}].action must be one of: ${ACTION_PRECEDENCE.join(', ')}`);
+    }
+
+    for (const field of ['tool', 'domain', 'intent']) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+        errors.push(`policies[${index}].${field} must be a string`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check if an intent is destructive or declares confirm: true
+ */
+export function requiresConfirmation(intent) {
+  return intent.confirm === true || intent.destructive === true;
+}
+
+export class PolicyEngine {
+  /**
+   * @param {Array} rules - Policy rules from config
+   */
+  constructor(rules = []) {
+    this.rules = rules || [];
+  }
+
+  /**
+   * Check if a rule selects a tool intent
+   */
+  matches(rule, tool, intent) {
+    if (rule.tool !== undefined && !matchesToolEntry(rule.tool, tool)) {
+      return false;
+    }
+
+    if (rule.domain !== undefined && !globToRegExp(rule.domain).test(tool.domain || '')) {
+      return false;
+    }
+
+    if (rule.intent !== undefined) {
+      const pattern = globToRegExp(rule.intent.toLowerCase());
+      return (intent.patterns || []).some(p => pattern.test(p.toLowerCase()));
+    }
+
+    return true;
+  }
+
+  /**
+   * Decide how an intent may run
+   *
+   * @param {Object} tool - Tool manifest
+   * @param {Object} intent - Intent definition
+   * @returns {{ action: string, requires_confirm: boolean, rule: Object|null }}
+   *   action is "block", "confirm" or "run"
+   */
+  evaluate(tool, intent) {
+    const matched = this.rules.filter(rule => this.matches(rule, tool, intent));
+    const rule = ACTION_PRECEDENCE
+      .map(action => matched.find(r => r.action === action))
+      .find(Boolean) || null;
+
+    if (rule?.action === PolicyActions.BLOCK) {
+      return { action: 'block', requires_confirm: false, rule };
+    }
+
+    if (rule?.action === PolicyActions.CONFIRM) {
+      return { action: 'confirm', requires_confirm: true, rule };
+    }
+
+    // Only intents that declare themselves idempotent can be auto-approved
+    const autoApproved = rule?.action === PolicyActions.ALLOW &&
+      intent.destructive !== true &&
+      intent.idempotent === true;
+
+    const confirm = requiresConfirmation(intent) && !autoApproved;
+
+    return {
+      action: confirm ? 'confirm' : 'run',
+      requires_confirm: confirm,
+      rule: autoApproved ? rule : null
+    };
+  }
+}
+
+export default PolicyEngine;
@@ -3,33 +3,171 @@
  */
 
 import { readdir, readFile } from 'fs/promises';
-import { join, dirname } from 'path';
+import { join, dirname, delimiter, isAbsolute, resolve } from 'path';
 import { homedir } from 'os';
-import { existsSync, watch } from 'fs';
+import { existsSync, watch, statSync, accessSync, constants } from 'fs';
+import { isToolAllowed } from './access.js';
+import { validateManifest } from './linter.js';
+import { CAPABILITY_FILE, loadCapabilityFiles } from './capability.js';
 
 const DEFAULT_SEARCH_PATHS = [
   join(homedir(), '.cmp', 'tools'),
   '/usr/local/share/cmp/tools'
 ];
 
+/**
+ * Manifest problems that keep a tool out of the registry (validateManifest
+ * error paths): not an object, or no usable domain/name
+ */
+const REQUIRED_FOR_REGISTRATION = ['$', 'domain', 'name'];
+
+/**
+ * Get the executable a tool runs: `wraps` for adapters, otherwise `binary`
+ *
+ * @returns {string|null} Declared executable, or null if the manifest has none
+ */
+export function binaryName(tool) {
+  return (tool.adapter ? tool.wraps || tool.binary : tool.binary || tool.wraps) || null;
+}
+
+/**
+ * Check if a path is an executable regular file
+ */
+function isExecutable(path) {
+  try {
+    if (!statSync(path).isFile()) return false;
+    accessSync(path, constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve an executable to an absolute path
+ * Names containing a slash are resolved against the tool directory. Bare
+ * names are looked up in the tool's bin/ directory, then in the absolute
+ * entries of PATH.
+ *
+ * @param {string} name - Executable name or path
+ * @param {string|null} toolRoot - Tool directory (parent of cmp/)
+ * @param {string} path - Search path (default: process.env.PATH)
+ * @returns {string|null} Absolute path, or null if not found
+ */
+export function resolveBinary(name, toolRoot = null, path = process.env.PATH || '') {
+  if (name.includes('/')) {
+    const candidate = resolve(toolRoot || process.cwd(), name);
+    return isExecutable(candidate) ? candidate : null;
+  }
+
+  const dirs = [
+    ...(toolRoot ? [join(toolRoot, 'bin')] : []),
+    // Relative PATH entries depend on the router's cwd; never trust them
+    ...path.split(delimiter).filter(dir => isAbsolute(dir))
+  ];
+
+  for (const dir of dirs) {
+    const candidate = join(dir, name);
+    if (isExecutable(candidate)) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Find cycles in a domain dependency graph
+ * Each cycle is reported once, as a closed path starting from its
+ * alphabetically first domain (e.g. ["email", "files", "email"]).
+ *
+ * @param {Map<string, Set<string>>} graph - Domain -> required domains
+ * @returns {string[][]}
+ */
+function findCycles(graph) {
+  const cycles = new Map();
+  const done = new Set();
+
+  const visit = (domain, stack) => {
+    const start = stack.indexOf(domain);
+    if (start !== -1) {
+      const cycle = stack.slice(start);
+      const first = cycle.indexOf([...cycle].sort()[0]);
+      const rotated = [...cycle.slice(first), ...cycle.slice(0, first)];
+      cycles.set(rotated.join('\0'), [...rotated, rotated[0]]);
+      return;
+    }
+
+    if (done.has(domain)) return;
+
+    for (const required of graph.get(domain) || []) {
+      visit(required, [...stack, domain]);
+    }
+    done.add(domain);
+  };
+
+  for (const domain of [...graph.keys()].sort()) {
+    visit(domain, []);
+  }
+
+  return [...cycles.values()];
+}
+
+/**
+ * Get a tool's qualified "domain/name" id
+ */
+export function toolId(tool) {
+  return `${tool.domain}/${tool.name}`;
+}
+
+/**
+ * Tools are keyed by their qualified "domain/name". The first registration
+ * of a domain/name wins; later ones are recorded as shadowed. Scans visit
+ * search paths in order (tool directories sorted by name), so earlier
+ * search paths take precedence. A bare name resolves to the first tool
+ * registered with it; tools in other domains sharing that name are
+ * reachable by their qualified "domain/name".
+ */
 export class Registry {
-  constructor(searchPaths = []) {
+  constructor(searchPaths = [], options = {}) {
     this.searchPaths = [...DEFAULT_SEARCH_PATHS, ...searchPaths];
-    this.tools = new Map();       // name -> tool
+    this.allowList = options.allowList ?? null;
+    this.denyList = options.denyList || [];
+    this.tools = new Map();       // domain/name -> tool
+    this.names = new Map();       // name -> domain/name it resolves to
     this.domains = new Map();     // domain -> [tool names]
-    this.capabilities = new Map(); // name -> capability (cached)
+    this.capabilities = new Map(); // domain/name -> capability (cached)
+    this.examples = new Map();    // domain/name -> examples (cached)
+    this.denied = new Map();      // domain/name -> tool rejected by allow/deny lists
+    this.shadowed = [];           // Tools hidden by an earlier registration
     this.watchers = [];           // Active file watchers
     this.hotReloadEnabled = false;
+    this.lastScan = null;         // When the last scan completed (epoch ms)
+  }
+
+  /**
+   * Forget all registered, denied and shadowed tools
+   */
+  clear() {
+    this.tools.clear();
+    this.names.clear();
+    this.domains.clear();
+    this.capabilities.clear();
+    this.examples.clear();
+    this.denied.clear();
+    this.shadowed = [];
   }
 
   /**
    * Scan search paths for CMP-compatible tools
+   * Rebuilds the registry from scratch, so rescans never keep stale tools.
    */
   async scan() {
+    this.clear();
+
     for (const basePath of this.searchPaths) {
       if (!existsSync(basePath)) continue;
 
       const entries = await readdir(basePath, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
 
       for (const entry of entries) {
         if (!entry.isDirectory()) continue;
@@ -47,6 +185,7 @@ export class Registry {
       }
     }
 
+    this.lastScan = Date.now();
     return this;
   }
 
@@ -66,12 +205,18 @@ export class Registry {
         const content = await readFile(manifestPath, 'utf-8');
         const manifest = JSON.parse(content);
 
-        this.register({
+        // Only manifests the registry can't key by domain/name are refused;
+        // other SPEC problems are left for `cmp validate` to report
+        const errors = validateManifest(manifest).errors
+          .filter(error => REQUIRED_FOR_REGISTRATION.includes(error.path));
+        if (errors.length > 0) {
+          throw new Error(`Invalid manifest: ${errors.map(e => e.message).join('; ')}`);
+        }
+
+        return this.register({
           ...manifest,
           path: dirname(manifestPath)
         });
-
-        return true;
       } catch (err) {
         console.warn(`Failed to load manifest at ${manifestPath}:`, err.message);
       }
@@ -82,16 +227,165 @@ export class Registry {
 
   /**
    * Register a tool
+   * Tools rejected by the allow/deny lists are recorded but not discoverable.
+   * Tools whose declared binary cannot be found are registered with
+   * `available: false`. A domain/name that is already registered keeps the
+   * earlier tool, and the new one is recorded as shadowed with a warning.
+   *
+   * @returns {boolean} Whether the tool was registered
    */
   register(tool) {
     const { name, domain } = tool;
+    const id = toolId(tool);
+
+    if (this.tools.has(id)) {
+      this.shadow(tool, this.tools.get(id));
+      return false;
+    }
+
+    if (!this.isAllowed(tool)) {
+      if (!this.denied.has(id)) {
+        this.denied.set(id, tool);
+      }
+      return false;
+    }
+
+    this.resolveTool(tool);
 
-    this.tools.set(name, tool);
+    this.tools.set(id, tool);
+
+    if (this.names.has(name)) {
+      this.shadow(tool, this.tools.get(this.names.get(name)));
+    } else {
+      this.names.set(name, id);
+    }
 
     if (!this.domains.has(domain)) {
       this.domains.set(domain, []);
     }
     this.domains.get(domain).push(name);
+    return true;
+  }
+
+  /**
+   * Record a tool hidden (fully, or by bare name) by an earlier one
+   */
+  shadow(tool, by) {
+    const entry = {
+      tool: toolId(tool),
+      path: tool.path ?? null,
+      by: toolId(by),
+      by_path: by.path ?? null
+    };
+    this.shadowed.push(entry);
+
+    console.warn(entry.tool === entry.by
+      ? `Tool ${entry.tool} at ${entry.path} is shadowed by ${entry.by_path}`
+      : `Tool name ${tool.name} at ${entry.path} resolves to ${entry.by} (${entry.by_path}); address it as ${entry.tool}`);
+  }
+
+  /**
+   * Get tools hidden by an earlier registration
+   * `tool` equal to `by` means the tool was not registered at all;
+   * otherwise it is only reachable by its qualified domain/name.
+   *
+   * @returns {Array<{ tool: string, path: string|null, by: string, by_path: string|null }>}
+   */
+  getShadowed() {
+    return [...this.shadowed];
+  }
+
+  /**
+   * Resolve a tool's declared binary, setting `binary_path` and `available`
+   */
+  resolveTool(tool) {
+    const name = binaryName(tool);
+
+    if (!name) {
+      tool.available = true;
+      return tool;
+    }
+
+    const binaryPath = resolveBinary(name, tool.path ? dirname(tool.path) : null);
+
+    if (binaryPath) {
+      tool.binary_path = binaryPath;
+    } else {
+      delete tool.binary_path;
+    }
+    tool.available = binaryPath !== null;
+    return tool;
+  }
+
+  /**
+   * Get manifests of tools whose declared binary was not found
+   */
+  getUnavailableManifests() {
+    return this.getAllManifests().filter(tool => tool.available === false);
+  }
+
+  /**
+   * Get the domains a tool requires that no available tool provides
+   */
+  missingRequires(tool) {
+    return (tool.requires || []).filter(domain =>
+      !this.getToolsByDomain(domain).some(t => t.available !== false));
+  }
+
+  /**
+   * Check manifest `requires` across the registered domains
+   * A required domain is met when it has at least one available tool.
+   *
+   * @returns {{ unmet: Array<{ tool: string, domain: string, missing: string[] }>, cycles: string[][] }}
+   */
+  checkDependencies() {
+    const unmet = [];
+    const graph = new Map();
+
+    for (const tool of this.tools.values()) {
+      const missing = this.missingRequires(tool);
+      if (missing.length > 0) {
+        unmet.push({ tool: tool.name, domain: tool.domain, missing });
+      }
+
+      for (const domain of tool.requires || []) {
+        // A tool may rely on its own domain; that is not a cycle
+        if (domain === tool.domain) continue;
+
+        if (!graph.has(tool.domain)) {
+          graph.set(tool.domain, new Set());
+        }
+        graph.get(tool.domain).add(domain);
+      }
+    }
+
+    return { unmet, cycles: findCycles(graph) };
+  }
+
+  /**
+   * Check a tool against the configured allow/deny lists
+   */
+  isAllowed(tool) {
+    return isToolAllowed(tool, {
+      allowList: this.allowList,
+      denyList: this.denyList
+    });
+  }
+
+  /**
+   * Check if a tool name or domain/name was rejected by the allow/deny lists
+   */
+  isDenied(ref) {
+    return String(ref).includes('/')
+      ? this.denied.has(ref)
+      : this.getDeniedManifests().some(tool => tool.name === ref);
+  }
+
+  /**
+   * Get manifests of tools rejected by the allow/deny lists
+   */
+  getDeniedManifests() {
+    return Array.from(this.denied.values());
   }
 
   /**
@@ -105,8 +399,7 @@ export class Registry {
    * Get manifests for a specific domain
    */
   getManifestsByDomain(domain) {
-    const toolNames = this.domains.get(domain) || [];
-    return toolNames.map(name => this.tools.get(name));
+    return this.getToolsByDomain(domain);
   }
 
   /**
@@ -117,10 +410,12 @@ export class Registry {
   }
 
   /**
-   * Get a specific tool
+   * Get a specific tool by name or qualified domain/name
    */
-  getTool(name) {
-    return this.tools.get(name);
+  getTool(ref) {
+    return String(ref).includes('/')
+      ? this.tools.get(ref)
+      : this.tools.get(this.names.get(ref));
   }
 
   /**
@@ -128,30 +423,61 @@ export class Registry {
    */
   getToolsByDomain(domain) {
     const names = this.domains.get(domain) || [];
-    return names.map(name => this.tools.get(name));
+    return names.map(name => this.tools.get(`${domain}/${name}`));
   }
 
   /**
-   * Lazy load capability.json for a tool
+   * Lazy load capability.json for a tool, merging the files it includes
+   *
+   * @throws {CapabilityLoadError} With per-file errors for broken includes
    */
   async loadCapability(tool) {
-    if (this.capabilities.has(tool.name)) {
-      return this.capabilities.get(tool.name);
+    const id = toolId(tool);
+
+    if (this.capabilities.has(id)) {
+      return this.capabilities.get(id);
     }
 
-    const capabilityPath = join(tool.path, 'capability.json');
+    const capabilityPath = join(tool.path, CAPABILITY_FILE);
 
     if (!existsSync(capabilityPath)) {
       throw new Error(`No capability.json found for tool: ${tool.name}`);
     }
 
-    const content = await readFile(capabilityPath, 'utf-8');
-    const capability = JSON.parse(content);
+    const capability = await loadCapabilityFiles(tool.path);
 
-    this.capabilities.set(tool.name, capability);
+    this.capabilities.set(id, capability);
     return capability;
   }
 
+  /**
+   * Lazy load examples.json for a tool
+   *
+   * @returns {Promise<Array>} The `examples` array, or [] if the tool has no examples.json
+   */
+  async loadExamples(tool) {
+    const id = toolId(tool);
+
+    if (this.examples.has(id)) {
+      return this.examples.get(id);
+    }
+
+    const examplesPath = join(tool.path, 'examples.json');
+    let examples = [];
+
+    if (existsSync(examplesPath)) {
+      const content = JSON.parse(await readFile(examplesPath, 'utf-8'));
+
+      if (!Array.isArray(content?.examples)) {
+        throw new Error(`Invalid examples.json for tool: ${tool.name}: 'examples' must be an array`);
+      }
+      examples = content.examples;
+    }
+
+    this.examples.set(id, examples);
+    return examples;
+  }
+
   /**
    * Enable hot reload - watch search paths for changes and re-scan
    */
@@ -165,12 +491,7 @@ export class Registry {
       // Debounce rapid changes
       if (debounceTimer) clearTimeout(debounceTimer);
       debounceTimer = setTimeout(async () => {
-        // Clear existing registrations
-        this.tools.clear();
-        this.domains.clear();
-        this.capabilities.clear();
-
-        // Re-scan
+        // Re-scan (clears existing registrations first)
         await this.scan();
 
         if (callback) {
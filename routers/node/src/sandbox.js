@@ -0,0 +1,295 @@
+/**
+ * Sandbox - Execution profiles for spawned commands
+ *
+ * A profile comes from the tool manifest's `sandbox` field and the router's
+ * `sandbox` config (a list of profiles, optionally scoped with `tool`):
+ *
+ *   {
+ *     "env": ["PATH", "HOME", "INBOX_*"],   // environment allow-list
+ *     "cwd": "work",                        // relative to the tool directory
+ *     "limits": { "cpu": 10, "memory": 536870912, "fileSize": 10485760 },
+ *     "network": false,                     // no network (Linux, via unshare)
+ *     "readOnly": ["/home/me/mail"]         // read-only bind mounts (Linux)
+ *   }
+ *
+ * Without an `env` allow-list, variables matching DEFAULT_ENV_DENY are
+ * stripped. Limits use prlimit; `network` and `readOnly` run the command in
+ * new user/network/mount namespaces with unshare. The command itself runs in
+ * a nested user namespace that maps it back to the router's uid and gid, so
+ * it holds no capabilities over the mounts and cannot remount or unmount the
+ * read-only paths. When the host cannot provide limits or locked read-only
+ * paths the command is refused; network isolation alone is skipped with a
+ * warning.
+ */
+
+import { accessSync, constants } from 'fs';
+import { spawnSync } from 'child_process';
+import { delimiter, dirname, isAbsolute, join, resolve } from 'path';
+import { globToRegExp, matchesToolEntry } from './access.js';
+
+/**
+ * Environment variables stripped when a profile has no `env` allow-list
+ */
+export const DEFAULT_ENV_DENY = [
+  'AWS_*',
+  'AZURE_*',
+  'GOOGLE_APPLICATION_CREDENTIALS',
+  'SSH_AUTH_SOCK',
+  '*_TOKEN',
+  '*_SECRET',
+  '*_SECRET_*',
+  '*_PASSWORD',
+  '*_API_KEY',
+  '*_PRIVATE_KEY'
+];
+
+/**
+ * prlimit options by profile limit (values in seconds or bytes)
+ */
+const LIMIT_FLAGS = {
+  cpu: '--cpu',
+  memory: '--as',
+  fileSize: '--fsize'
+};
+
+const availability = new Map();
+let mapsUser;
+
+/**
+ * Check if an executable is on PATH (cached)
+ */
+export function commandExists(name) {
+  if (!availability.has(name)) {
+    const found = (process.env.PATH || '').split(delimiter).some(dir => {
+      try {
+        accessSync(join(dir, name), constants.X_OK);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+    availability.set(name, found);
+  }
+
+  return availability.get(name);
+}
+
+/**
+ * Check if unshare can map the caller to a chosen uid (util-linux 2.38+, cached)
+ */
+export function unshareMapsUser() {
+  if (mapsUser === undefined) {
+    const help = spawnSync('unshare', ['--help'], { encoding: 'utf-8' });
+    mapsUser = !help.error && help.stdout.includes('--map-user');
+  }
+
+  return mapsUser;
+}
+
+/**
+ * Build the environment for a command
+ *
+ * @param {Object} env - Source environment
+ * @param {string[]} allow - Allow-list of names/globs, or undefined to strip
+ *   DEFAULT_ENV_DENY instead
+ * @returns {Object} Filtered environment with CMP_AGENT=1
+ */
+export function filterEnv(env, allow) {
+  const matchesAny = (patterns, key) => patterns.some(p => globToRegExp(p).test(key));
+
+  const filtered = Object.fromEntries(
+    Object.entries(env).filter(([key]) => allow
+      ? matchesAny(allow, key)
+      : !matchesAny(DEFAULT_ENV_DENY, key))
+  );
+
+  // Signal agent mode
+  filtered.CMP_AGENT = '1';
+  return filtered;
+}
+
+/**
+ * Resolve the sandbox profile for a tool
+ * Layers apply in order: the manifest's `sandbox`, then each config profile
+ * whose `tool` entry matches (or that has none). Later layers override
+ * earlier keys; `limits` are merged per limit.
+ *
+ * @param {Object} tool - Tool manifest (with `path` to its cmp directory)
+ * @param {Array} profiles - Config profiles
+ * @returns {Object} Profile with `cwd` resolved to an absolute path
+ */
+export function resolveProfile(tool, profiles = []) {
+  const layers = [
+    tool.sandbox,
+    ...(profiles || []).filter(p => p.tool === undefined || matchesToolEntry(p.tool, tool))
+  ];
+
+  const profile = {};
+
+  for (const layer of layers) {
+    if (!layer) continue;
+
+    const { tool: _selector, limits, ...rest } = layer;
+    Object.assign(profile, rest);
+
+    if (limits) {
+      profile.limits = { ...profile.limits, ...limits };
+    }
+  }
+
+  if (profile.cwd && !isAbsolute(profile.cwd)) {
+    profile.cwd = resolve(tool.path ? dirname(tool.path) : process.cwd(), profile.cwd);
+  }
+
+  return profile;
+}
+
+/**
+ * Build the spawn call for a command under a profile
+ *
+ * @param {string|string[]} command - Shell command string or argv array
+ * @param {Object} profile - Resolved sandbox profile
+ * @param {Object} options - Host overrides (for testing)
+ * @param {string} options.platform - Host platform (default: process.platform)
+ * @param {Function} options.has - Executable check (default: commandExists)
+ * @param {Function} options.mapsUser - unshare --map-user check (default: unshareMapsUser)
+ * @param {number} options.uid - uid the command runs as (default: process.getuid())
+ * @param {number} options.gid - gid the command runs as (default: process.getgid())
+ * @param {Object} options.env - Source environment (default: process.env)
+ * @returns {{ file: string, args: string[], env: Object, cwd: string|undefined, warnings: string[], errors: string[] }}
+ *   errors lists profile features the host cannot enforce; the command must not run
+ */
+export function buildSpawn(command, profile = {}, options = {}) {
+  const {
+    platform = process.platform,
+    has = commandExists,
+    mapsUser = unshareMapsUser,
+    uid = process.getuid?.(),
+    gid = process.getgid?.(),
+    env = process.env
+  } = options;
+
+  const linux = platform === 'linux';
+  const warnings = [];
+  const errors = [];
+  let argv = Array.isArray(command) ? [...command] : ['sh', '-c', command];
+
+  // Resource limits
+  const limits = Object.entries(profile.limits || {})
+    .filter(([name, value]) => LIMIT_FLAGS[name] && value !== undefined);
+
+  if (limits.length > 0) {
+    if (linux && has('prlimit')) {
+      argv = [
+        'prlimit',
+        ...limits.map(([name, value]) => `${LIMIT_FLAGS[name]}=${value}`),
+        '--',
+        ...argv
+      ];
+    } else {
+      errors.push('Resource limits require Linux with prlimit');
+    }
+  }
+
+  // Namespaces: read-only bind mounts and no network
+  const readOnly = profile.readOnly || [];
+  const isolateNetwork = profile.network === false;
+
+  if (readOnly.length > 0 || isolateNetwork) {
+    const unshare = linux && has('unshare');
+    const ids = unshare && mapsUser() ? [`--map-user=${uid}`, `--map-group=${gid}`] : null;
+
+    if (readOnly.length > 0 && unshare && ids) {
+      // Mount as root of the outer namespace, then drop into a nested one
+      // that has no say over those mounts
+      const mounts = readOnly.map((_, i) => {
+        const path = `"\${${i + 1}}"`;
+        return `mount --bind ${path} ${path} && mount -o remount,bind,ro ${path}`;
+      });
+
+      argv = [
+        'unshare',
+        '--map-root-user',
+        ...(isolateNetwork ? ['--net'] : []),
+        '--mount',
+        '--',
+        'sh', '-c',
+        `${mounts.join(' && ')} && shift ${readOnly.length} && exec "$@"`,
+        'sh',
+        ...readOnly,
+        'unshare', '--user', ...ids, '--',
+        ...argv
+      ];
+    } else if (readOnly.length > 0) {
+      errors.push(unshare
+        ? 'Read-only paths require unshare --map-user (util-linux 2.38 or later) to lock the mounts'
+        : 'Read-only paths require Linux with unshare');
+    } else if (unshare) {
+      // Without --map-user the command sees itself as uid 0 in the namespace
+      argv = ['unshare', ...(ids || ['--map-root-user']), '--net', '--', ...argv];
+    } else {
+      warnings.push('Network isolation requires Linux with unshare; running without it');
+    }
+  }
+
+  return {
+    file: argv[0],
+    args: argv.slice(1),
+    env: filterEnv(env, profile.env),
+    cwd: profile.cwd,
+    warnings,
+    errors
+  };
+}
+
+/**
+ * Validate a sandbox profile
+ *
+ * @param {Object} profile - Sandbox profile
+ * @param {string} path - Path used in messages
+ * @returns {string[]} Error messages
+ */
+export function validateSandbox(profile, path = 'sandbox') {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  const isStringList = value => Array.isArray(value) &&
+    value.every(item => typeof item === 'string' && item.length > 0);
+
+  if (profile.env !== undefined && !isStringList(profile.env)) {
+    errors.push(`${path}.env must be an array of variable names`);
+  }
+
+  if (profile.cwd !== undefined && (typeof profile.cwd !== 'string' || !profile.cwd)) {
+    errors.push(`${path}.cwd must be a path`);
+  }
+
+  if (profile.network !== undefined && typeof profile.network !== 'boolean') {
+    errors.push(`${path}.network must be a boolean`);
+  }
+
+  if (profile.readOnly !== undefined &&
+      (!isStringList(profile.readOnly) || !profile.readOnly.every(p => isAbsolute(p)))) {
+    errors.push(`${path}.readOnly must be an array of absolute paths`);
+  }
+
+  if (profile.limits !== undefined) {
+    if (!profile.limits || typeof profile.limits !== 'object' || Array.isArray(profile.limits)) {
+      errors.push(`${path}.limits must be an object`);
+    } else {
+      for (const [name, value] of Object.entries(profile.limits)) {
+        if (!LIMIT_FLAGS[name]) {
+          errors.push(`${path}.limits.${name} is not a known limit (${Object.keys(LIMIT_FLAGS).join(', ')})`);
+        } else if (!Number.isInteger(value) || value <= 0) {
+          errors.push(`${path}.limits.${name} must be a positive integer`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+export default buildSpawn;
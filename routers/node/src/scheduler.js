@@ -0,0 +1,236 @@
+/**
+ * Scheduler - Limits how many tool commands run at once
+ *
+ * Every execution takes a slot before its command is spawned. The router
+ * runs at most `maxConcurrent` commands in total, and each tool at most its
+ * own limit, taken from the first matching `toolConcurrency` config entry
+ * or else the manifest's `concurrency` field:
+ *
+ *   { "tool": "email:inboxd", "max": 1 }   // single-instance tool
+ *
+ * Executions that can't start wait in FIFO order. A waiting execution is
+ * only passed over when its own tool is at its limit, so one busy tool does
+ * not hold up the others. Waiting longer than `queueTimeout` fails with
+ * QUEUE_TIMEOUT; aborting the execution's signal fails it with CANCELLED.
+ */
+
+import { matchesToolEntry } from './access.js';
+import { ExecutionError } from './executor.js';
+
+/**
+ * Default limits
+ */
+export const DEFAULT_MAX_CONCURRENT = 8;
+export const DEFAULT_QUEUE_TIMEOUT = 30000; // 30 seconds
+
+/**
+ * Error codes (ErrorCodes.CANCELLED, ErrorCodes.QUEUE_TIMEOUT)
+ */
+const CANCELLED = -32009;
+const QUEUE_TIMEOUT = -32013;
+
+/**
+ * Validate `toolConcurrency` config entries
+ *
+ * @param {Array} entries - Per-tool limits from config
+ * @returns {string[]} Error messages
+ */
+export function validateConcurrency(entries) {
+  if (!Array.isArray(entries)) {
+    return ['toolConcurrency must be an array of limits'];
+  }
+
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`toolConcurrency[${index}] must be an object`);
+      return;
+    }
+
+    if (typeof entry.tool !== 'string' || !entry.tool) {
+      errors.push(`toolConcurrency[${index}].tool must be a tool name`);
+    }
+
+    if (!Number.isInteger(entry.max) || entry.max <= 0) {
+      errors.push(`toolConcurrency[${index}].max must be a positive integer`);
+    }
+  });
+
+  return errors;
+}
+
+export class Scheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.maxConcurrent - Commands running at once across all tools
+   * @param {number} options.queueTimeout - Longest wait for a slot, in ms
+   * @param {Array<{ tool: string, max: number }>} options.toolConcurrency - Per-tool limits
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_CONCURRENT;
+    this.queueTimeout = options.queueTimeout || DEFAULT_QUEUE_TIMEOUT;
+    this.toolConcurrency = options.toolConcurrency || [];
+    this.running = 0;
+    this.queue = [];        // waiting executions, oldest first
+    this.tools = new Map(); // domain/name -> { tool, running, queued }
+  }
+
+  /**
+   * Get the number of commands a tool may run at once
+   *
+   * @param {Object} tool - Tool manifest
+   * @returns {number|null} Limit, or null for no per-tool limit
+   */
+  limitFor(tool) {
+    const entry = this.toolConcurrency.find(e => matchesToolEntry(e.tool, tool));
+    return entry?.max ?? tool.concurrency ?? null;
+  }
+
+  /**
+   * Wait for a slot to run one of a tool's commands
+   *
+   * @param {Object} tool - Tool manifest
+   * @param {Object} options - Acquire options
+   * @param {AbortSignal} options.signal - Gives up waiting when aborted
+   * @param {number} options.timeout - Longest wait in ms (default queueTimeout)
+   * @returns {Promise<Function>} Resolves with a function that frees the slot
+   * @throws {ExecutionError} QUEUE_TIMEOUT after the timeout, CANCELLED when aborted
+   */
+  acquire(tool, options = {}) {
+    const { signal, timeout = this.queueTimeout } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(
+        new ExecutionError('Command cancelled before it started', CANCELLED, { cancelled: true })
+      );
+    }
+
+    const state = this.stateFor(tool);
+    const limit = this.limitFor(tool);
+
+    // Free global slots mean everyone queued is waiting on their own tool
+    if (state.queued === 0 && this.hasSlot(state, limit)) {
+      return Promise.resolve(this.start(state));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { state, limit, resolve, queued_at: Date.now() };
+
+      const leave = error => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        state.queued--;
+        waiter.done();
+        this.forget(state);
+        reject(error);
+      };
+
+      const onAbort = () => leave(
+        new ExecutionError('Command cancelled while queued', CANCELLED, { cancelled: true })
+      );
+
+      const timer = setTimeout(() => leave(new ExecutionError(
+        `Timed out after ${timeout}ms waiting for an execution slot for ${tool.name}`,
+        QUEUE_TIMEOUT,
+        { tool: tool.name, waited_ms: Date.now() - waiter.queued_at, limit, running: state.running }
+      )), timeout);
+
+      waiter.done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+      state.queued++;
+    });
+  }
+
+  /**
+   * Report running and queued executions, in total and per tool
+   *
+   * @param {Function} visible - Only list tools this predicate accepts
+   */
+  stats(visible = () => true) {
+    return {
+      running: this.running,
+      queued: this.queue.length,
+      max_concurrent: this.maxConcurrent,
+      queue_timeout_ms: this.queueTimeout,
+      tools: [...this.tools.entries()]
+        .filter(([, state]) => visible(state.tool))
+        .map(([key, state]) => ({
+          tool: key,
+          running: state.running,
+          queued: state.queued,
+          limit: this.limitFor(state.tool)
+        }))
+    };
+  }
+
+  /**
+   * Get the counters for a tool, keyed by domain/name
+   */
+  stateFor(tool) {
+    const key = `${tool.domain}/${tool.name}`;
+
+    if (!this.tools.has(key)) {
+      this.tools.set(key, { key, tool, running: 0, queued: 0 });
+    }
+
+    return this.tools.get(key);
+  }
+
+  /**
+   * Drop the counters of a tool with nothing running or queued
+   */
+  forget(state) {
+    if (state.running === 0 && state.queued === 0) {
+      this.tools.delete(state.key);
+    }
+  }
+
+  hasSlot(state, limit) {
+    return this.running < this.maxConcurrent && (limit === null || state.running < limit);
+  }
+
+  /**
+   * Take a slot and return the function that frees it
+   */
+  start(state) {
+    this.running++;
+    state.running++;
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      this.running--;
+      state.running--;
+      this.forget(state);
+      this.pump();
+    };
+  }
+
+  /**
+   * Start waiting executions, oldest first, while slots are free
+   */
+  pump() {
+    for (let i = 0; i < this.queue.length && this.running < this.maxConcurrent;) {
+      const waiter = this.queue[i];
+
+      if (!this.hasSlot(waiter.state, waiter.limit)) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      waiter.state.queued--;
+      waiter.done();
+      waiter.resolve(this.start(waiter.state));
+    }
+  }
+}
+
+export default Scheduler;
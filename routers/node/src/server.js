@@ -5,13 +5,57 @@
  */
 
 import { createServer as createHttpServer } from 'http';
+import { ScopeDeniedError } from './index.js';
+import {
+  loadTokens,
+  authenticate,
+  isOriginAllowed,
+  isMethodPermitted,
+  isToolPermitted
+} from './auth.js';
+
+/**
+ * GET routes for liveness and readiness probes
+ */
+const HEALTH_ROUTES = ['/healthz', '/readyz'];
+
+/**
+ * Response header carrying a cmp.intent request's execution id
+ */
+const EXECUTION_ID_HEADER = 'X-CMP-Execution-Id';
+
+/**
+ * Create the HTTP server
+ *
+ * @param {Router} router - The CMP router instance
+ * @param {Object} options - Server options (default: from the router config)
+ * @param {string[]} options.corsOrigins - Browser origins allowed to call the
+ *   server; requests with any other Origin header are rejected
+ * @param {Array} options.clients - Authenticated clients (see auth.js); when
+ *   empty, requests are not authenticated
+ */
+export function createServer(router, options = {}) {
+  const {
+    corsOrigins = router.options?.corsOrigins ?? [],
+    clients = loadTokens(router.options)
+  } = options;
 
-export function createServer(router) {
   return createHttpServer(async (req, res) => {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    // CORS: only configured origins, echoed back rather than "*"
+    const { origin } = req.headers;
+    if (origin !== undefined) {
+      if (!isOriginAllowed(origin, corsOrigins)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Origin not allowed' }));
+        return;
+      }
+
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+      res.setHeader('Access-Control-Expose-Headers', EXECUTION_ID_HEADER);
+    }
 
     if (req.method === 'OPTIONS') {
       res.writeHead(200);
@@ -19,73 +63,398 @@ export function createServer(router) {
       return;
     }
 
-    if (req.method !== 'POST') {
+    // GET is only served for the health routes. The path is compared as-is:
+    // parsing it as a URL throws on paths such as "//"
+    const pathname = req.url.split('?')[0];
+    const healthRoute = req.method === 'GET' && HEALTH_ROUTES.includes(pathname);
+
+    if (req.method !== 'POST' && !healthRoute) {
       res.writeHead(405, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Method not allowed' }));
       return;
     }
 
+    // Bearer token authentication, when tokens are configured
+    let client = null;
+    if (clients.length > 0) {
+      client = authenticate(req.headers.authorization, clients);
+
+      if (!client) {
+        res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' });
+        res.end(JSON.stringify({ error: 'Unauthorized' }));
+        return;
+      }
+    }
+
+    // Liveness always answers 200; readiness answers 503 until the first
+    // registry scan has completed. Both need the cmp.health method scope
+    if (healthRoute) {
+      if (client && !isMethodPermitted(client, 'cmp.health')) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Scope denied' }));
+        return;
+      }
+
+      const allow = client?.scopes?.tools ? tool => isToolPermitted(client, tool) : undefined;
+      const health = router.health({ allow });
+      const status = pathname === '/readyz' && !health.ready ? 503 : 200;
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(health));
+      return;
+    }
+
     // Parse body
     let body = '';
     for await (const chunk of req) {
       body += chunk;
     }
 
-    let request;
-    try {
-      request = JSON.parse(body);
-    } catch {
+    const { message: request, error } = parseMessage(body);
+    if (error) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        jsonrpc: '2.0',
-        error: { code: -32700, message: 'Parse error' },
-        id: null
-      }));
+      res.end(JSON.stringify(error));
       return;
     }
 
-    // Handle JSON-RPC request
-    const response = await handleRequest(router, request);
+    // Cancel the request's execution if the client disconnects early
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    // Streaming intents are answered with Server-Sent Events:
+    // one event per notification, then a `result` event with the response
+    if (request?.method === 'cmp.intent' && request.params?.stream === true) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+
+      const response = await handleRequest(router, request, {
+        notify: (method, params) => writeEvent(res, method, { jsonrpc: '2.0', method, params }),
+        signal: controller.signal,
+        client
+      });
+
+      writeEvent(res, 'result', response);
+      res.end();
+      return;
+    }
+
+    // A single cmp.intent request gets its headers, with the execution id,
+    // as soon as the execution is registered, so the caller can cmp.cancel it
+    // before the result arrives
+    const announce = request?.method === 'cmp.intent' && !Array.isArray(request) &&
+      !isNotification(request);
+
+    // Handle JSON-RPC request or batch; notifications get an empty reply
+    const response = await handleRequest(router, request, {
+      signal: controller.signal,
+      client,
+      ...(announce && {
+        onStart: ({ execution_id }) => {
+          res.writeHead(200, { 'Content-Type': 'application/json', [EXECUTION_ID_HEADER]: execution_id });
+          res.flushHeaders();
+        }
+      })
+    });
+
+    if (response === null) {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
 
-    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (!res.headersSent) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+    }
     res.end(JSON.stringify(response));
   });
 }
 
-export async function handleRequest(router, request) {
-  const { jsonrpc, method, params = {}, id } = request;
+/**
+ * Write a Server-Sent Event
+ */
+function writeEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Build a JSON-RPC error response
+ */
+function errorResponse(code, message, id = null) {
+  return { jsonrpc: '2.0', error: { code, message }, id };
+}
+
+/**
+ * Parse a JSON-RPC message
+ * On a parse error the response keeps the request's top-level `id` when
+ * it can still be read from the malformed text.
+ *
+ * @param {string} text - Raw message
+ * @returns {{ message: *, error: Object|undefined }} The parsed message, or
+ *   the parse error response to send
+ */
+export function parseMessage(text) {
+  try {
+    return { message: JSON.parse(text) };
+  } catch {
+    return { error: errorResponse(-32700, 'Parse error', recoverId(text)) };
+  }
+}
+
+/**
+ * Read the top-level "id" of a malformed JSON object, if it is intact
+ *
+ * @param {string} text - Malformed JSON text
+ * @returns {string|number|null} The id, or null
+ */
+export function recoverId(text) {
+  if (!text.trimStart().startsWith('{')) {
+    return null;
+  }
+
+  const string = /"(?:[^"\\]|\\.)*"/y;
+  const idValue = /\s*:\s*("(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\s*[,}]/y;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      string.lastIndex = i;
+      const key = string.exec(text);
+      if (!key) return null;
+
+      // A member of the outermost object: read its value if it is the id
+      if (depth === 1 && key[0] === '"id"') {
+        idValue.lastIndex = string.lastIndex;
+        const value = idValue.exec(text);
+        if (value) return JSON.parse(value[1]);
+      }
+
+      i = string.lastIndex - 1;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check if a request is a notification (no `id` member), which gets no response
+ */
+function isNotification(request) {
+  return request !== null && typeof request === 'object' && !Array.isArray(request) &&
+    !Object.hasOwn(request, 'id');
+}
+
+/**
+ * Handle a batch: run its requests with at most `concurrency` in flight
+ *
+ * @param {Array} batch - JSON-RPC requests
+ * @param {Function} handle - Handles one request, resolving to its response or null
+ * @param {number} concurrency - Requests run at once
+ * @returns {Promise<Array|Object|null>} Responses in request order, an
+ *   error for an empty batch, or null if every request was a notification
+ */
+async function handleBatch(batch, handle, concurrency) {
+  if (batch.length === 0) {
+    return errorResponse(-32600, 'Invalid request: empty batch');
+  }
+
+  const responses = new Array(batch.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < batch.length) {
+      const index = next++;
+      // Batches don't nest: an array inside a batch is an invalid request
+      responses[index] = Array.isArray(batch[index])
+        ? errorResponse(-32600, 'Invalid request: must be an object')
+        : await handle(batch[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), batch.length) }, worker));
+
+  const sent = responses.filter(response => response !== null);
+  return sent.length > 0 ? sent : null;
+}
+
+/**
+ * Create a session for one socket or stdio connection
+ *
+ * The session tracks in-flight requests by JSON-RPC id so that a
+ * `$/cancelRequest` notification ({ id }) or closing the connection
+ * cancels their running executions.
+ *
+ * @param {Router} router - The CMP router instance
+ * @param {Object} options - Options passed through to handleRequest
+ * @returns {{ handle: Function, close: Function }} handle() resolves to the
+ *   response (an array for batches), or null when none is due
+ */
+export function createSession(router, options = {}) {
+  const inflight = new Map(); // request id -> AbortController
+
+  return {
+    async handle(request) {
+      if (Array.isArray(request)) {
+        return handleBatch(request, item => this.handle(item), batchConcurrency(router, options));
+      }
+
+      if (request?.method === '$/cancelRequest') {
+        inflight.get(request.params?.id)?.abort();
+        return null;
+      }
+
+      const controller = new AbortController();
+      const tracked = request?.id !== undefined && request?.id !== null;
+      if (tracked) inflight.set(request.id, controller);
+
+      try {
+        return await handleRequest(router, request, { ...options, signal: controller.signal });
+      } finally {
+        if (tracked && inflight.get(request.id) === controller) {
+          inflight.delete(request.id);
+        }
+      }
+    },
+
+    close() {
+      for (const controller of inflight.values()) {
+        controller.abort();
+      }
+      inflight.clear();
+    }
+  };
+}
+
+/**
+ * Get the number of batch requests run at once
+ */
+function batchConcurrency(router, options) {
+  return options.batchConcurrency ?? router.options?.batchConcurrency ?? 4;
+}
+
+/**
+ * Handle a JSON-RPC request, notification or batch
+ *
+ * @param {Router} router - The CMP router instance
+ * @param {Object|Array} request - JSON-RPC request, or a batch of them
+ * @param {Object} options - Transport options
+ * @param {Function} options.notify - Send a JSON-RPC notification (method, params)
+ *   to the client. Enables `stream: true` on cmp.intent.
+ * @param {AbortSignal} options.signal - Cancels the request's execution
+ * @param {Function} options.onStart - Called with { execution_id, tool, command }
+ *   when a cmp.intent execution is registered, before its result is ready
+ * @param {Object} options.client - Authenticated client whose scopes limit
+ *   the methods and tools it may use
+ * @param {number} options.batchConcurrency - Batch requests run at once
+ *   (default: the router's `batchConcurrency` config)
+ * @returns {Promise<Object|Array|null>} JSON-RPC response, an array of
+ *   responses for a batch, or null for notifications
+ */
+export async function handleRequest(router, request, options = {}) {
+  if (Array.isArray(request)) {
+    return handleBatch(
+      request,
+      item => handleRequest(router, item, options),
+      batchConcurrency(router, options)
+    );
+  }
+
+  if (request === null || typeof request !== 'object') {
+    return errorResponse(-32600, 'Invalid request: must be an object');
+  }
+
+  const { notify, signal, client, onStart } = options;
+  const { jsonrpc, method, params = {}, id = null } = request;
 
   if (jsonrpc !== '2.0') {
-    return {
-      jsonrpc: '2.0',
-      error: { code: -32600, message: 'Invalid request: must be JSON-RPC 2.0' },
-      id
-    };
+    return errorResponse(-32600, 'Invalid request: must be JSON-RPC 2.0', id);
   }
 
+  if (typeof method !== 'string') {
+    return errorResponse(-32600, 'Invalid request: method must be a string', id);
+  }
+
+  // CMP methods take named params only
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    return isNotification(request)
+      ? null
+      : errorResponse(-32602, 'Invalid params: must be an object', id);
+  }
+
+  const response = await dispatch(router, method, params, id, { notify, signal, client, onStart });
+
+  // Notifications run, but the client gets no response, not even errors
+  return isNotification(request) ? null : response;
+}
+
+/**
+ * Run a JSON-RPC method and build its response
+ */
+async function dispatch(router, method, params, id, { notify, signal, client, onStart }) {
   try {
     let result;
 
+    if (client && !isMethodPermitted(client, method)) {
+      throw new ScopeDeniedError(client.name, method);
+    }
+
+    // Tools outside the client's scopes are hidden from listings and matching
+    const allow = client?.scopes?.tools ? tool => isToolPermitted(client, tool) : undefined;
+    const authorizeTool = ref => {
+      if (allow && ref && !allow(router.getTool(ref))) {
+        throw new ScopeDeniedError(client.name, ref);
+      }
+    };
+
     switch (method) {
+      case 'cmp.ping':
+        result = router.ping();
+        break;
+
+      case 'cmp.health':
+        result = router.health({ allow });
+        break;
+
       case 'cmp.domains':
-        result = router.domains();
+        result = router.domains({ allow });
         break;
 
       case 'cmp.manifests':
-        result = router.manifests(params.domain);
+        result = router.manifests(params.domain, { allow });
         break;
 
       case 'cmp.capabilities':
         if (!params.tool) {
           throw { code: -32602, message: 'Missing required param: tool' };
         }
+        authorizeTool(params.tool);
         result = await router.capabilities(params.tool);
         break;
 
+      case 'cmp.examples':
+        if (!params.tool) {
+          throw { code: -32602, message: 'Missing required param: tool' };
+        }
+        authorizeTool(params.tool);
+        result = await router.examples(params.tool, params.intent);
+        break;
+
       case 'cmp.schema':
         if (!params.tool || !params.pattern) {
           throw { code: -32602, message: 'Missing required params: tool, pattern' };
         }
+        authorizeTool(params.tool);
         result = await router.schema(params.tool, params.pattern);
         break;
 
@@ -93,11 +462,39 @@ export async function handleRequest(router, request) {
         if (!params.want) {
           throw { code: -32602, message: 'Missing required param: want' };
         }
-        result = await router.intent(params);
+        authorizeTool(params.tool);
+        // Notifications are only sent to clients that opted into streaming
+        result = await router.intent(params, {
+          signal,
+          allow,
+          onStart: execution => {
+            if (notify && params.stream === true) notify('cmp.execution', { id, ...execution });
+            onStart?.(execution);
+          },
+          ...(notify && params.stream === true && {
+            onOutput: chunk => notify('cmp.output', { id, ...chunk })
+          })
+        });
+        break;
+
+      case 'cmp.cancel':
+        if (!params.execution_id) {
+          throw { code: -32602, message: 'Missing required param: execution_id' };
+        }
+        result = router.cancel(params.execution_id, { allow });
+        break;
+
+      case 'cmp.match':
+        if (!params.want) {
+          throw { code: -32602, message: 'Missing required param: want' };
+        }
+        result = await router.explain(params.want, { allow });
         break;
 
       case 'cmp.context':
-        result = { snippet: router.contextSnippet() };
+        result = {
+          snippet: await router.contextSnippet({ examples: params.examples === true, allow })
+        };
         break;
 
       default:
@@ -9,22 +9,78 @@ import { createServer } from 'net';
 import { unlinkSync, existsSync } from 'fs';
 import { dirname } from 'path';
 import { mkdirSync } from 'fs';
-import { handleRequest } from './server.js';
+import { createSession, parseMessage } from './server.js';
+import { ErrorCodes } from './index.js';
+
+/**
+ * Count requests in flight across all connections of a server
+ * Connections waiting for a free slot are resumed, in order, as slots free up.
+ *
+ * @param {number} max - Requests allowed in flight at once
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = new Set(); // pump functions of connections waiting for a slot
+
+  return {
+    tryAcquire() {
+      if (active >= max) return false;
+      active++;
+      return true;
+    },
+
+    release() {
+      active--;
+      for (const pump of waiting) {
+        if (active >= max) break;
+        waiting.delete(pump);
+        pump();
+      }
+    },
+
+    wait(pump) {
+      waiting.add(pump);
+    },
+
+    forget(pump) {
+      waiting.delete(pump);
+    }
+  };
+}
 
 /**
  * Create a Unix socket server for the router
  *
+ * Requests on a connection are handled concurrently and answered as they
+ * complete, so clients match responses by `id`. At most
+ * `maxInFlightPerConnection` requests per connection, and `maxInFlight`
+ * across all connections, run at once. Past either limit, further messages
+ * wait in a queue; once more than `maxInFlightPerConnection` are waiting,
+ * the connection stops reading until a request completes. A client
+ * that doesn't read its responses is paused the same way. `$/cancelRequest`
+ * is never queued behind the limits; a request it names that is still
+ * queued is dropped and answered with CANCELLED.
+ *
  * @param {Router} router - The CMP router instance
  * @param {Object} options - Server options
+ * @param {number} options.maxInFlight - Requests in flight across connections
+ *   (default: the router's `socketMaxInFlight` config, or 64)
+ * @param {number} options.maxInFlightPerConnection - Requests in flight per
+ *   connection (default: the router's `socketMaxInFlightPerConnection`
+ *   config, or 8)
  * @returns {net.Server} The socket server
  */
 export function createSocketServer(router, options = {}) {
   const {
     socketPath = '/tmp/cmp-router.sock',
     onError = console.error,
-    onConnection = null
+    onConnection = null,
+    maxInFlight = router.options?.socketMaxInFlight ?? 64,
+    maxInFlightPerConnection = router.options?.socketMaxInFlightPerConnection ?? 8
   } = options;
 
+  const limiter = createLimiter(maxInFlight);
+
   // Ensure socket directory exists
   const socketDir = dirname(socketPath);
   if (!existsSync(socketDir)) {
@@ -46,9 +102,102 @@ export function createSocketServer(router, options = {}) {
     }
 
     let buffer = '';
+    let active = 0;               // Requests in flight on this connection
+    let writeBlocked = false;     // Waiting for the client to read responses
+    let closed = false;
+    const queue = [];             // Parsed messages waiting for a slot
+
+    connection.setEncoding('utf8');
+
+    // Read only while requests can start and responses can be written
+    const updateFlow = () => {
+      if (closed) return;
+      if (queue.length > maxInFlightPerConnection || writeBlocked) {
+        connection.pause();
+      } else {
+        connection.resume();
+      }
+    };
+
+    const send = message => {
+      if (!connection.writable) return;
 
-    connection.on('data', async data => {
-      buffer += data.toString();
+      if (!connection.write(JSON.stringify(message) + '\n') && !writeBlocked) {
+        writeBlocked = true;
+        updateFlow();
+        connection.once('drain', () => {
+          writeBlocked = false;
+          updateFlow();
+        });
+      }
+    };
+
+    // Closing the connection cancels its running executions
+    const session = createSession(router, {
+      notify: (method, params) => send({ jsonrpc: '2.0', method, params })
+    });
+
+    const handle = async message => {
+      try {
+        // Batches get an array; notifications get nothing
+        const response = await session.handle(message);
+        if (response) {
+          send(response);
+        }
+      } catch (err) {
+        onError(`Socket request error: ${err.message}`);
+      } finally {
+        active--;
+        limiter.release();
+        pump();
+      }
+    };
+
+    // Answer queued requests with the given id as cancelled instead of running them
+    const dropQueued = id => {
+      if (id === undefined || id === null) return;
+
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (queue[i]?.id !== id) continue;
+
+        queue.splice(i, 1);
+        send({
+          jsonrpc: '2.0',
+          error: {
+            code: ErrorCodes.CANCELLED,
+            message: 'Request cancelled before it started',
+            data: { cancelled: true }
+          },
+          id,
+          cmp: '0.1.0'
+        });
+      }
+    };
+
+    // Start queued messages while both limits have room
+    const pump = () => {
+      while (!closed && queue.length > 0 && active < maxInFlightPerConnection) {
+        if (!limiter.tryAcquire()) {
+          limiter.wait(pump);
+          break;
+        }
+
+        active++;
+        handle(queue.shift());
+      }
+
+      updateFlow();
+    };
+
+    connection.on('close', () => {
+      closed = true;
+      queue.length = 0;
+      limiter.forget(pump);
+      session.close();
+    });
+
+    connection.on('data', data => {
+      buffer += data;
 
       // Process complete JSON-RPC messages (newline-delimited)
       const lines = buffer.split('\n');
@@ -57,23 +206,19 @@ export function createSocketServer(router, options = {}) {
       for (const line of lines) {
         if (!line.trim()) continue;
 
-        try {
-          const request = JSON.parse(line);
-          const response = await handleRequest(router, request);
-          connection.write(JSON.stringify(response) + '\n');
-        } catch (err) {
-          const errorResponse = {
-            jsonrpc: '2.0',
-            error: {
-              code: -32700,
-              message: 'Parse error',
-              data: { error: err.message }
-            },
-            id: null
-          };
-          connection.write(JSON.stringify(errorResponse) + '\n');
+        const { message, error } = parseMessage(line);
+        if (error) {
+          send(error);
+        } else if (message?.method === '$/cancelRequest') {
+          // Cancellation must reach requests even when the limits are full
+          dropQueued(message.params?.id);
+          session.handle(message);
+        } else {
+          queue.push(message);
         }
       }
+
+      pump();
     });
 
     connection.on('error', err => {
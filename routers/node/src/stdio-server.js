@@ -8,7 +8,7 @@
  */
 
 import { createInterface } from 'readline';
-import { handleRequest } from './server.js';
+import { createSession, parseMessage } from './server.js';
 
 /**
  * Start the stdio server
@@ -39,26 +39,27 @@ export function createStdioServer(router, options = {}) {
     output.write(JSON.stringify(response) + '\n');
   }
 
+  const session = createSession(router, {
+    notify: (method, params) => send({ jsonrpc: '2.0', method, params })
+  });
+
   /**
    * Handle incoming line
    */
   async function handleLine(line) {
     if (!line.trim()) return;
 
-    let request;
-    try {
-      request = JSON.parse(line);
-    } catch (err) {
-      send({
-        jsonrpc: '2.0',
-        error: { code: -32700, message: 'Parse error' },
-        id: null
-      });
+    const { message, error } = parseMessage(line);
+    if (error) {
+      send(error);
       return;
     }
 
-    const response = await handleRequest(router, request);
-    send(response);
+    // Batches get an array; notifications get nothing
+    const response = await session.handle(message);
+    if (response) {
+      send(response);
+    }
   }
 
   return {
@@ -73,6 +74,8 @@ export function createStdioServer(router, options = {}) {
 
       rl.on('close', () => {
         running = false;
+        // Input closed: cancel anything still running for this client
+        session.close();
       });
 
       rl.on('error', err => {
@@ -0,0 +1,244 @@
+/**
+ * Tester - Example-driven regression tests for a tool
+ *
+ * Each examples.json example becomes up to three test points:
+ *
+ * - "matches":   the example's `intent` text resolves to the same intent as
+ *                its `invocation.want`
+ * - "validates": the invocation's params pass validation and build a
+ *                complete command
+ * - "runs":      (with `run`) the command succeeds and its output has the
+ *                structure of `result.output`
+ *
+ * With a `stub` executable, commands starting with the tool's binary run the
+ * stub instead, so destructive intents can be tested safely. Without one,
+ * destructive and confirm-required intents are never run.
+ */
+
+import { binaryName } from './registry.js';
+import { resolveProfile } from './sandbox.js';
+import { validateParams, checkPlaceholders, sanitizeForShell } from './validator.js';
+
+/**
+ * Compare the structure of an output against an expected value
+ * Objects must have every expected key, arrays must hold items shaped like
+ * the first expected item, and scalars must have the same type. Values
+ * themselves are not compared.
+ *
+ * @param {*} expected - Expected output
+ * @param {*} actual - Actual output
+ * @param {string} path - Path used in messages
+ * @returns {string[]} Mismatch messages
+ */
+export function compareShape(expected, actual, path = '$') {
+  const kind = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  if (kind(expected) !== kind(actual)) {
+    return [`${path}: expected ${kind(expected)}, got ${kind(actual)}`];
+  }
+
+  if (Array.isArray(expected)) {
+    if (expected.length === 0) return [];
+    return actual.flatMap((item, index) => compareShape(expected[0], item, `${path}[${index}]`));
+  }
+
+  if (kind(expected) === 'object') {
+    return Object.keys(expected).flatMap(key => key in actual
+      ? compareShape(expected[key], actual[key], `${path}.${key}`)
+      : [`${path}.${key}: missing`]);
+  }
+
+  return [];
+}
+
+/**
+ * Run a tool's examples as tests
+ *
+ * @param {Router} router - Router with the tool registered
+ * @param {string} toolRef - Tool name or domain/name
+ * @param {Object} options - Test options
+ * @param {boolean} options.run - Also run commands and compare output
+ * @param {string} options.stub - Executable to run in place of the tool binary
+ * @returns {Promise<{ tool: string, tests: Array, passed: number, failed: number, skipped: number }>}
+ */
+export async function testTool(router, toolRef, options = {}) {
+  const { run = false, stub = null } = options;
+  const tool = router.getTool(toolRef);
+  const { intents = [] } = await router.registry.loadCapability(tool);
+  const examples = await router.registry.loadExamples(tool);
+
+  // Match against the other examples only: the example under test would
+  // otherwise feed its own phrase in as a signal for the intent it expects
+  const scopeWithout = example => ({
+    getAllManifests: () => [tool],
+    loadCapability: () => router.registry.loadCapability(tool),
+    loadExamples: async () => examples.filter(other => other !== example)
+  });
+
+  const tests = [];
+  const record = (index, example, name, status, message) => {
+    tests.push({
+      example: index,
+      intent: example?.intent ?? null,
+      name,
+      status,
+      ...(message && { message })
+    });
+  };
+
+  for (const [index, example] of examples.entries()) {
+    const want = example?.invocation?.want;
+    const expected = typeof want === 'string' ? router.matcher.findIntent(intents, want) : null;
+
+    if (!expected) {
+      record(index, example, 'matches', 'fail', `invocation.want '${want}' does not match any intent`);
+      continue;
+    }
+
+    // 1. The natural-language intent resolves to the invoked intent
+    const match = typeof example.intent === 'string'
+      ? await router.matcher.match(example.intent, scopeWithout(example))
+      : null;
+
+    if (!match || match.ambiguous || match.intent !== expected) {
+      const got = match?.ambiguous ? 'an ambiguous match' : match?.intent ? `'${match.intent.patterns[0]}'` : 'nothing';
+      record(index, example, 'matches', 'fail', `Matched ${got}, expected '${expected.patterns[0]}'`);
+    } else {
+      record(index, example, 'matches', 'pass');
+    }
+
+    // 2. The invocation validates and builds a complete command
+    const captured = router.matcher.matchPatterns(expected.patterns, want)?.captures || {};
+    const context = { ...captured, ...example.invocation.context };
+    const validation = validateParams(context, expected.params || {});
+    let built = null;
+
+    if (!validation.valid) {
+      record(index, example, 'validates', 'fail', validation.errors.map(e => e.message).join('; '));
+    } else {
+      try {
+        built = router.executor.buildCommand(expected, context, {
+          binary: {
+            name: binaryName(tool) ?? tool.name,
+            path: stub ?? tool.binary_path
+          }
+        });
+
+        const { placeholders } = checkPlaceholders(built.command);
+        if (!built.argv && placeholders.length > 0) {
+          throw new Error(`Command has unsubstituted placeholders: ${placeholders.join(', ')}`);
+        }
+
+        record(index, example, 'validates', 'pass');
+      } catch (err) {
+        built = null;
+        record(index, example, 'validates', 'fail', err.message);
+      }
+    }
+
+    if (!run) continue;
+
+    // 3. The command runs and its output has the expected structure
+    if (!built) {
+      record(index, example, 'runs', 'skip', 'Command could not be built');
+    } else if (stub && !(built.argv
+      ? built.argv[0] === stub
+      : built.command.trimStart().startsWith(sanitizeForShell(stub)))) {
+      record(index, example, 'runs', 'fail', `Command does not start with ${binaryName(tool) ?? tool.name}, so it cannot be stubbed`);
+    } else if (!stub && (expected.destructive || expected.confirm)) {
+      record(index, example, 'runs', 'skip', 'Destructive or confirm-required intents only run with a stub');
+    } else {
+      try {
+        const result = await router.executor.runDetailed(built.argv || built.command, {
+          maxOutputBytes: expected.maxOutputBytes,
+          overflow: expected.outputOverflow,
+          sandbox: resolveProfile(tool, router.options.sandbox)
+        });
+        const mismatches = example.result?.output === undefined
+          ? []
+          : compareShape(example.result.output, result.output);
+
+        record(index, example, 'runs', mismatches.length === 0 ? 'pass' : 'fail', mismatches.join('; '));
+      } catch (err) {
+        record(index, example, 'runs', 'fail', err.message);
+      }
+    }
+  }
+
+  const count = status => tests.filter(test => test.status === status).length;
+
+  return {
+    tool: tool.name,
+    tests,
+    passed: count('pass'),
+    failed: count('fail'),
+    skipped: count('skip')
+  };
+}
+
+/**
+ * Describe a test point, e.g. "example 1 (Undo the last 3 deletions) matches"
+ */
+function describeTest(test) {
+  const label = test.intent ? ` (${test.intent})` : '';
+  return `example ${test.example + 1}${label} ${test.name}`;
+}
+
+/**
+ * Format a test report as TAP version 13
+ */
+export function formatTap(report) {
+  const lines = ['TAP version 13', `1..${report.tests.length}`];
+
+  report.tests.forEach((test, index) => {
+    const description = `${report.tool}: ${describeTest(test).replace(/#/g, '\\#')}`;
+
+    if (test.status === 'skip') {
+      lines.push(`ok ${index + 1} - ${description} # SKIP ${test.message}`);
+    } else if (test.status === 'pass') {
+      lines.push(`ok ${index + 1} - ${description}`);
+    } else {
+      lines.push(`not ok ${index + 1} - ${description}`);
+      lines.push('  ---', `  message: ${JSON.stringify(test.message)}`, '  ...');
+    }
+  });
+
+  lines.push(`# pass ${report.passed}`, `# fail ${report.failed}`, `# skip ${report.skipped}`);
+  return lines.join('\n');
+}
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Format a test report as JUnit XML
+ */
+export function formatJUnit(report) {
+  const cases = report.tests.map(test => {
+    const open = `    <testcase classname="${escapeXml(`${report.tool}.example-${test.example + 1}`)}" name="${escapeXml(describeTest(test))}"`;
+
+    if (test.status === 'pass') {
+      return `${open}/>`;
+    }
+
+    const child = test.status === 'skip'
+      ? `<skipped message="${escapeXml(test.message)}"/>`
+      : `<failure message="${escapeXml(test.message)}"/>`;
+
+    return `${open}>\n      ${child}\n    </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<testsuites>',
+    `  <testsuite name="${escapeXml(report.tool)}" tests="${report.tests.length}" failures="${report.failed}" skipped="${report.skipped}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+export default testTool;
@@ -15,6 +15,20 @@ export const ErrorCodes = {
   TYPE_MISMATCH: -32602
 };
 
+/**
+ * Param types understood by validateType
+ */
+export const PARAM_TYPES = [
+  'string',
+  'integer',
+  'number',
+  'boolean',
+  'array<string>',
+  'array<integer>',
+  'array',
+  'object'
+];
+
 /**
  * Validation error class
  */
@@ -40,15 +54,22 @@ export class ValidationError extends Error {
  *
  * @param {Object} context - The provided context/parameters
  * @param {Object} schema - The intent params schema from capability.json
- * @returns {{ valid: boolean, errors: Array, sanitized: Object }}
+ * @param {Object} options - Validation options
+ * @param {boolean} options.escape - Shell-escape string values (default: true).
+ *   Disable for argv execution, where values never pass through a shell.
+ * @returns {{ valid: boolean, errors: Array, sanitized: Object, defaults: string[] }}
+ *   `defaults` lists the params filled from their schema default
  */
-export function validateParams(context, schema) {
+export function validateParams(context, schema, options = {}) {
+  const { escape = true } = options;
+  const clean = escape ? sanitizeValue : value => value;
   const errors = [];
   const sanitized = {};
+  const defaults = [];
 
   if (!schema || Object.keys(schema).length === 0) {
     // No schema means no validation needed
-    return { valid: true, errors: [], sanitized: context };
+    return { valid: true, errors: [], sanitized: context, defaults };
   }
 
   // Check required parameters
@@ -67,7 +88,7 @@ export function validateParams(context, schema) {
 
     if (!paramSchema) {
       // Unknown parameter - pass through but sanitize
-      sanitized[key] = sanitizeValue(value);
+      sanitized[key] = clean(value);
       continue;
     }
 
@@ -98,24 +119,157 @@ export function validateParams(context, schema) {
 
     // Store sanitized value
     sanitized[key] = typeResult.coerced !== undefined
-      ? sanitizeValue(typeResult.coerced)
-      : sanitizeValue(value);
+      ? clean(typeResult.coerced)
+      : clean(value);
   }
 
   // Apply defaults for missing optional params
   for (const [key, paramSchema] of Object.entries(schema)) {
     if (!(key in sanitized) && paramSchema.default !== undefined) {
-      sanitized[key] = sanitizeValue(paramSchema.default);
+      sanitized[key] = clean(paramSchema.default);
+      defaults.push(key);
     }
   }
 
   return {
     valid: errors.length === 0,
     errors,
-    sanitized
+    sanitized,
+    defaults
   };
 }
 
+/**
+ * Validate a value against a JSON Schema
+ *
+ * Supports the subset of JSON Schema used by capability `returns`:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * anyOf, minItems/maxItems, minLength/maxLength, minimum/maximum, pattern.
+ *
+ * @param {*} value - The value to validate (e.g. parsed tool output)
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON path of the value, used in error messages
+ * @returns {Array<{ type: string, path: string, message: string }>} Schema errors
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const fail = message => errors.push({ type: 'schema_mismatch', path, message: `${path}: ${message}` });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesJsonType(value, type))) {
+      fail(`expected ${types.join(' or ')}, got ${jsonTypeOf(value)}`);
+      // Nested keywords are meaningless once the type is wrong
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    fail(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) &&
+      !schema.enum.some(item => JSON.stringify(item) === JSON.stringify(value))) {
+    fail(`must be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (Array.isArray(schema.anyOf) &&
+      !schema.anyOf.some(sub => validateSchema(value, sub, path).length === 0)) {
+    fail('does not match any allowed schema');
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined) {
+      // The schema comes from the manifest and runs after the tool already
+      // did, so a broken pattern is reported rather than thrown
+      let regex = null;
+      try {
+        regex = new RegExp(schema.pattern);
+      } catch (err) {
+        errors.push({ type: 'invalid_schema', path, message: `${path}: invalid pattern ${schema.pattern}: ${err.message}` });
+      }
+      if (regex && !regex.test(value)) {
+        fail(`must match pattern ${schema.pattern}`);
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (jsonTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        fail(`missing required property '${key}'`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property '${key}'`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ */
+function matchesJsonType(value, type) {
+  const actual = jsonTypeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
 /**
  * Check for missing required parameters
  *
@@ -296,11 +450,13 @@ export function validateCommand(command) {
 export default {
   validateParams,
   validateType,
+  validateSchema,
   checkRequired,
   sanitizeForShell,
   sanitizeValue,
   checkPlaceholders,
   validateCommand,
   ValidationError,
-  ErrorCodes
+  ErrorCodes,
+  PARAM_TYPES
 };
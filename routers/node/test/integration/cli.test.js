@@ -0,0 +1,86 @@
+/**
+ * Integration tests for the cmp CLI
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CLI_PATH = join(__dirname, '../../src/cli.js');
+
+describe('CLI', () => {
+  let home;
+
+  const cmp = (...args) => spawnSync(process.execPath, [CLI_PATH, ...args], {
+    encoding: 'utf-8',
+    timeout: 10000,
+    env: { PATH: process.env.PATH, HOME: home }
+  });
+
+  beforeEach(() => {
+    home = mkdtempSync(join(tmpdir(), 'cmp-cli-'));
+    mkdirSync(join(home, '.cmp'));
+  });
+
+  afterEach(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('should refuse to start with an invalid configuration', () => {
+    writeFileSync(join(home, '.cmp', 'config.json'), JSON.stringify({
+      policies: [{ tool: 'inboxd', action: 'blok' }]
+    }));
+
+    const result = cmp('domains');
+
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('Invalid configuration');
+    expect(result.stderr).toContain('policies[0].action must be one of: block, confirm, allow');
+  });
+
+  it('should start with a valid configuration', () => {
+    writeFileSync(join(home, '.cmp', 'config.json'), JSON.stringify({
+      policies: [{ tool: 'inboxd', action: 'block' }]
+    }));
+
+    expect(cmp('domains').status).toBe(0);
+  });
+
+  it('should stop running commands when the server is terminated', async () => {
+    const tool = join(home, 'tools', 'sleeper', 'cmp');
+    mkdirSync(tool, { recursive: true });
+    writeFileSync(join(tool, 'manifest.json'), JSON.stringify({
+      name: 'sleeper', domain: 'test', version: '1.0.0', summary: 'Sleeps'
+    }));
+    writeFileSync(join(tool, 'capability.json'), JSON.stringify({
+      intents: [{ patterns: ['sleep a while'], command: 'sleep 30 & echo $!; wait' }]
+    }));
+
+    const server = spawn(process.execPath, [CLI_PATH, 'start', '--stdio'], {
+      env: { PATH: process.env.PATH, HOME: home, CMP_TOOL_PATH: join(home, 'tools') }
+    });
+    const exited = new Promise(resolve => server.once('exit', (code, signal) => resolve(signal)));
+
+    let output = '';
+    server.stdout.on('data', data => { output += data; });
+    server.stdin.write(JSON.stringify({
+      jsonrpc: '2.0', method: 'cmp.intent', params: { want: 'sleep a while', stream: true }, id: 1
+    }) + '\n');
+
+    let pid;
+    await vi.waitFor(() => {
+      pid = Number(/"data":"(\d+)\\n"/.exec(output)?.[1]);
+      expect(pid).toBeGreaterThan(0);
+    }, { timeout: 5000 });
+
+    server.kill('SIGTERM');
+    expect(await exited).toBe('SIGTERM');
+
+    const state = spawnSync('ps', ['-o', 'stat=', '-p', String(pid)]).stdout.toString().trim();
+    expect(state === '' || state.startsWith('Z')).toBe(true);
+  });
+});
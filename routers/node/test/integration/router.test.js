@@ -2,13 +2,16 @@
  * Integration tests for the CMP Router
  */
 
-import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
 import { Router, CMPError, ValidationError, ErrorCodes } from '../../src/index.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const FIXTURES_PATH = join(__dirname, '../fixtures');
+const EXAMPLES_PATH = join(__dirname, '../../../../examples');
 
 describe('Router Integration', () => {
   let router;
@@ -27,6 +30,37 @@ describe('Router Integration', () => {
     });
   });
 
+  describe('health', () => {
+    it('should answer ping', () => {
+      expect(router.ping()).toEqual({ status: 'ok', timestamp: expect.any(Number) });
+    });
+
+    it('should report version, tools and scan state', () => {
+      const health = router.health();
+
+      expect(health).toEqual({
+        status: 'ok',
+        version: JSON.parse(readFileSync(join(__dirname, '../../package.json'), 'utf-8')).version,
+        uptime_ms: expect.any(Number),
+        ready: true,
+        tools: 1,
+        unavailable: [],
+        last_scan: router.registry.lastScan,
+        hot_reload: false,
+        executions: { running: 0, queued: 0, max_concurrent: 8, queue_timeout_ms: 30000, tools: [] }
+      });
+      expect(router.health({ allow: () => false }).tools).toBe(0);
+    });
+
+    it('should not be ready before the first scan', () => {
+      expect(new Router({ searchPaths: [FIXTURES_PATH] }).health()).toMatchObject({
+        ready: false,
+        tools: 0,
+        last_scan: null
+      });
+    });
+  });
+
   describe('domains', () => {
     it('should return list of available domains', () => {
       const result = router.domains();
@@ -133,6 +167,75 @@ describe('Router Integration', () => {
       expect(result.destructive).toBe(true);
     });
 
+    it('should return a confirmation token with the preview', async () => {
+      const result = await router.intent({
+        want: 'delete file',
+        context: { path: '/tmp/test' }
+      });
+
+      expect(typeof result.confirmation_token).toBe('string');
+      expect(result.expires_at).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject confirm: true without a token', async () => {
+      await expect(router.intent({
+        want: 'delete file',
+        context: { path: '/tmp/test' },
+        confirm: true
+      })).rejects.toMatchObject({
+        code: ErrorCodes.CONFIRMATION_REQUIRED,
+        data: { reason: 'missing' }
+      });
+    });
+
+    it('should reject a token when context changed after the preview', async () => {
+      const preview = await router.intent({
+        want: 'delete file',
+        context: { path: '/tmp/harmless' }
+      });
+
+      await expect(router.intent({
+        want: 'delete file',
+        context: { path: '/tmp/something-else' },
+        confirm: true,
+        confirmation_token: preview.confirmation_token
+      })).rejects.toMatchObject({
+        code: ErrorCodes.CONFIRMATION_REQUIRED,
+        data: { reason: 'mismatch' }
+      });
+    });
+
+    it('should execute with a matching confirmation token', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-confirm-'));
+      const path = join(dir, 'target.txt');
+      writeFileSync(path, 'x');
+
+      try {
+        const preview = await router.intent({ want: 'delete file', context: { path } });
+        const result = await router.intent({
+          want: 'delete file',
+          context: { path },
+          confirm: true,
+          confirmation_token: preview.confirmation_token
+        });
+
+        expect(result.success).toBe(true);
+        expect(existsSync(path)).toBe(false);
+
+        await expect(router.intent({
+          want: 'delete file',
+          context: { path },
+          confirm: true,
+          confirmation_token: preview.confirmation_token
+        })).rejects.toMatchObject({
+          code: ErrorCodes.CONFIRMATION_REQUIRED,
+          data: { reason: 'used' }
+        });
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
     it('should throw NoMatchError for unknown intent', async () => {
       await expect(router.intent({
         want: 'completely unknown action xyz123'
@@ -184,12 +287,673 @@ describe('Router Integration', () => {
     });
   });
 
+  describe('ranked matching', () => {
+    it('should pick the best-scoring intent across overlapping patterns', async () => {
+      // "say hello" overlaps "say something" but is an exact pattern of greet user
+      const result = await router.intent({ want: 'say hello' });
+      expect(result.output.raw).toContain('Hello, World!');
+    });
+
+    it('should report ambiguity within the configured matchMargin', async () => {
+      const strictRouter = new Router({ searchPaths: [FIXTURES_PATH], matchMargin: 0.9 });
+      await strictRouter.init();
+
+      await expect(strictRouter.intent({ want: 'say hello' }))
+        .rejects.toMatchObject({ code: ErrorCodes.AMBIGUOUS_INTENT });
+    });
+  });
+
+  describe('explain', () => {
+    it('should list candidates with match details without executing', async () => {
+      const result = await router.explain('say hello');
+
+      expect(result.ambiguous).toBe(false);
+      expect(result.selected).toMatchObject({
+        tool: 'mock-tool',
+        intent: 'greet user',
+        pattern: 'say hello',
+        kind: 'substring'
+      });
+      // "say" is in both intents' patterns, so sharing it earns no pattern bonus
+      expect(result.candidates[1]).toMatchObject({
+        intent: 'echo message',
+        kind: null,
+        fields: ['patterns']
+      });
+      expect(result.candidates[0].score).toBeGreaterThan(result.candidates[1].score);
+    });
+
+    it('should return no candidates for unknown intents', async () => {
+      const result = await router.explain('completely unknown action xyz123');
+      expect(result.selected).toBeNull();
+      expect(result.candidates).toEqual([]);
+    });
+
+    it('should reject a missing want', async () => {
+      await expect(router.explain('')).rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMS });
+    });
+
+    it('should reject a blank want', async () => {
+      await expect(router.explain('   ')).rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMS });
+      await expect(router.intent({ want: ' \t ' })).rejects.toMatchObject({ code: ErrorCodes.INVALID_PARAMS });
+    });
+  });
+
+  describe('parameter extraction', () => {
+    it('should populate params from named capture groups', async () => {
+      const result = await router.intent({ want: 'say hi to Alice' });
+
+      expect(result.success).toBe(true);
+      expect(result.output.raw).toBe('Hello, Alice!');
+    });
+
+    it('should let explicit context win over captured params', async () => {
+      const result = await router.intent({
+        want: 'say hi to Alice',
+        context: { name: 'Bob' }
+      });
+
+      expect(result.output.raw).toBe('Hello, Bob!');
+    });
+
+    it('should coerce captured strings through validation', async () => {
+      const result = await router.intent({ want: 'add 2 and 3' });
+      expect(result.command).toContain('2 + 3');
+    });
+
+    it('should expose captures in explain', async () => {
+      const result = await router.explain('say hi to Alice');
+      expect(result.selected.captures).toEqual({ name: 'Alice' });
+    });
+  });
+
+  describe('argv intents', () => {
+    it('should execute argv intents without a shell', async () => {
+      const result = await router.intent({
+        want: 'print arguments',
+        context: { values: ['a b', '$(whoami)', "it's"] }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.output.raw).toBe("a b|$(whoami)|it's|");
+    });
+  });
+
+  describe('output validation', () => {
+    it('should mark output matching the returns schema as valid', async () => {
+      const result = await router.intent({
+        want: 'emit payload',
+        context: { payload: '{"status":"ok"}' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.output_valid).toBe(true);
+      expect(result.output_errors).toBeUndefined();
+    });
+
+    it('should report schema mismatches as warnings by default', async () => {
+      const result = await router.intent({
+        want: 'emit payload',
+        context: { payload: '{"status":"weird"}' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.output_valid).toBe(false);
+      expect(result.output_errors[0].path).toBe('$.status');
+    });
+
+    it('should omit output validation for intents without returns', async () => {
+      const result = await router.intent({ want: 'greet user' });
+      expect(result.output_valid).toBeUndefined();
+    });
+
+    it('should fail the call in strict mode', async () => {
+      await expect(router.intent({
+        want: 'emit payload',
+        context: { payload: 'not json' },
+        strict: true
+      })).rejects.toMatchObject({ code: ErrorCodes.OUTPUT_INVALID });
+    });
+
+    it('should honor the strictOutput router option', async () => {
+      const strictRouter = new Router({ searchPaths: [FIXTURES_PATH], strictOutput: true });
+      await strictRouter.init();
+
+      await expect(strictRouter.intent({
+        want: 'emit payload',
+        context: { payload: '{}' }
+      })).rejects.toMatchObject({ code: ErrorCodes.OUTPUT_INVALID });
+    });
+  });
+
+  describe('policies', () => {
+    it('should require confirmation for destructive intents without confirm', async () => {
+      const result = await router.intent({ want: 'purge cache' });
+
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('confirmation_required');
+      expect(result.destructive).toBe(true);
+      expect(result.confirmation_token).toBeDefined();
+    });
+
+    it('should block intents matched by a block rule', async () => {
+      const policyRouter = new Router({
+        searchPaths: [FIXTURES_PATH],
+        policies: [{ tool: 'mock-tool', intent: 'delete *', action: 'block' }]
+      });
+      await policyRouter.init();
+
+      await expect(policyRouter.intent({
+        want: 'delete file',
+        context: { path: '/tmp/test' }
+      })).rejects.toMatchObject({
+        code: ErrorCodes.POLICY_BLOCKED,
+        data: { tool: 'mock-tool', intent: 'delete file' }
+      });
+    });
+
+    it('should force confirmation with a confirm rule', async () => {
+      const policyRouter = new Router({
+        searchPaths: [FIXTURES_PATH],
+        policies: [{ domain: 'test', intent: 'echo *', action: 'confirm' }]
+      });
+      await policyRouter.init();
+
+      const result = await policyRouter.intent({
+        want: 'echo message',
+        context: { message: 'hello' }
+      });
+
+      expect(result.reason).toBe('confirmation_required');
+      expect(result.policy).toEqual({ domain: 'test', intent: 'echo *', action: 'confirm' });
+    });
+
+    it('should not let allow rules skip confirmation of destructive intents', async () => {
+      const policyRouter = new Router({
+        searchPaths: [FIXTURES_PATH],
+        policies: [{ tool: 'mock-tool', action: 'allow' }]
+      });
+      await policyRouter.init();
+
+      const result = await policyRouter.intent({ want: 'purge cache' });
+      expect(result.reason).toBe('confirmation_required');
+    });
+  });
+
+  describe('streaming', () => {
+    it('should stream output to onOutput when stream is true', async () => {
+      const chunks = [];
+      const result = await router.intent(
+        { want: 'echo message', context: { message: 'hello' }, stream: true },
+        { onOutput: chunk => chunks.push(chunk) }
+      );
+
+      expect(result).toMatchObject({ success: true, tool: 'mock-tool', streamed: true, exit_code: 0 });
+      expect(result).not.toHaveProperty('output');
+      expect(chunks).toEqual([{ stream: 'stdout', data: 'hello\n' }]);
+    });
+
+    it('should stream records for ndjson intents', async () => {
+      const chunks = [];
+      await router.intent(
+        { want: 'stream records', stream: true },
+        { onOutput: chunk => chunks.push(chunk) }
+      );
+
+      expect(chunks).toEqual([
+        { stream: 'stdout', record: { n: 1 } },
+        { stream: 'stdout', record: { n: 2 } },
+        { stream: 'stdout', data: 'done' }
+      ]);
+    });
+
+    it('should buffer output when the transport cannot stream', async () => {
+      const result = await router.intent({
+        want: 'echo message',
+        context: { message: 'hello' },
+        stream: true
+      });
+
+      expect(result.output).toEqual({ raw: 'hello' });
+      expect(result).not.toHaveProperty('streamed');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should return an execution id with results', async () => {
+      const result = await router.intent({ want: 'echo message', context: { message: 'hi' } });
+      expect(result.execution_id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(router.executions.size).toBe(0);
+    });
+
+    it('should cancel a running execution by id', async () => {
+      const pending = router.intent({ want: 'wait seconds' }, {
+        onStart: ({ execution_id }) => {
+          setTimeout(() => expect(router.cancel(execution_id).cancelled).toBe(true), 50);
+        }
+      });
+
+      await expect(pending).rejects.toMatchObject({
+        code: ErrorCodes.CANCELLED,
+        data: { cancelled: true }
+      });
+      expect(router.executions.size).toBe(0);
+    });
+
+    it('should cancel when the caller signal aborts', async () => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+
+      await expect(router.intent({ want: 'wait seconds' }, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: ErrorCodes.CANCELLED });
+    });
+
+    it('should cancel an execution while it is queued', async () => {
+      const limited = await new Router({
+        searchPaths: [FIXTURES_PATH],
+        toolConcurrency: [{ tool: 'mock-tool', max: 1 }]
+      }).init();
+      const running = new AbortController();
+
+      const first = limited.intent({ want: 'wait seconds' }, { signal: running.signal });
+      const second = limited.intent({ want: 'wait seconds' }, {
+        onStart: ({ execution_id }) => {
+          setTimeout(() => {
+            expect(limited.health().executions.tools).toEqual([
+              { tool: 'test/mock-tool', running: 1, queued: 1, limit: 1 }
+            ]);
+            limited.cancel(execution_id);
+            running.abort();
+          }, 50);
+        }
+      });
+
+      await expect(second).rejects.toMatchObject({
+        code: ErrorCodes.CANCELLED,
+        message: 'Command cancelled while queued'
+      });
+      await expect(first).rejects.toMatchObject({ code: ErrorCodes.CANCELLED });
+      expect(limited.health().executions).toMatchObject({ running: 0, queued: 0 });
+    });
+
+    it('should fail intents that wait past the queue timeout', async () => {
+      const limited = await new Router({
+        searchPaths: [FIXTURES_PATH],
+        maxConcurrent: 1,
+        queueTimeout: 50
+      }).init();
+      const running = new AbortController();
+
+      const first = limited.intent({ want: 'wait seconds' }, { signal: running.signal });
+      await expect(limited.intent({ want: 'echo message', context: { message: 'hi' } }))
+        .rejects.toMatchObject({ code: ErrorCodes.QUEUE_TIMEOUT, data: { tool: 'mock-tool' } });
+
+      running.abort();
+      await expect(first).rejects.toMatchObject({ code: ErrorCodes.CANCELLED });
+    });
+
+    it('should report unknown execution ids as not cancelled', () => {
+      expect(router.cancel('missing')).toEqual({ execution_id: 'missing', cancelled: false });
+    });
+  });
+
+  describe('output limits', () => {
+    it('should report truncated: false for complete output', async () => {
+      const result = await router.intent({ want: 'echo message', context: { message: 'hi' } });
+      expect(result.truncated).toBe(false);
+    });
+
+    it('should apply the router maxOutputBytes', async () => {
+      const limitedRouter = new Router({ searchPaths: [FIXTURES_PATH], maxOutputBytes: 3 });
+      await limitedRouter.init();
+
+      const result = await limitedRouter.intent({ want: 'echo message', context: { message: 'hello' } });
+      expect(result.output).toEqual({ raw: 'hel' });
+      expect(result.truncated).toBe(true);
+    });
+
+    it('should apply per-intent limits and spill to output_file', async () => {
+      const result = await router.intent({ want: 'print banner' });
+
+      try {
+        expect(result.truncated).toBe(true);
+        expect(result.output).toEqual({ raw: '====' });
+        expect(readFileSync(result.output_file, 'utf-8')).toBe('==========');
+      } finally {
+        rmSync(result.output_file, { force: true });
+      }
+    });
+
+    it('should fail when the router overflow policy is kill', async () => {
+      const killRouter = new Router({ searchPaths: [FIXTURES_PATH], maxOutputBytes: 3, outputOverflow: 'kill' });
+      await killRouter.init();
+
+      await expect(killRouter.intent({ want: 'echo message', context: { message: 'hello' } }))
+        .rejects.toMatchObject({ data: { truncated: true, max_output_bytes: 3 } });
+    });
+  });
+
+  describe('sandbox', () => {
+    it('should run intents under the configured profile', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+      writeFileSync(join(dir, 'marker.txt'), '');
+
+      try {
+        const sandboxRouter = new Router({
+          searchPaths: [FIXTURES_PATH],
+          sandbox: [{ tool: 'test:mock-tool', cwd: dir }]
+        });
+        await sandboxRouter.init();
+
+        const result = await sandboxRouter.intent({ want: 'list files' });
+        expect(result.output.raw).toContain('marker.txt');
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('binary resolution', () => {
+    let root;
+    let binRouter;
+    const originalPath = process.env.PATH;
+
+    const writeTool = (name, manifest, intents) => {
+      mkdirSync(join(root, 'tools', name, 'cmp'), { recursive: true });
+      writeFileSync(join(root, 'tools', name, 'cmp', 'manifest.json'), JSON.stringify({
+        name, domain: 'bin-test', version: '1.0.0', summary: `${name} test tool`, ...manifest
+      }));
+      writeFileSync(join(root, 'tools', name, 'cmp', 'capability.json'), JSON.stringify({ intents }));
+    };
+
+    const writeScript = (dir, name, output) => {
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(join(dir, name), `#!/bin/sh\necho ${output}\n`, { mode: 0o755 });
+    };
+
+    beforeAll(async () => {
+      root = mkdtempSync(join(tmpdir(), 'cmp-binary-'));
+
+      writeTool('local-tool', { binary: 'cmp-hello' }, [
+        { patterns: ['say hello'], command: 'cmp-hello' },
+        { patterns: ['shout hello'], argv: ['cmp-hello', 'loudly'] }
+      ]);
+      writeScript(join(root, 'tools', 'local-tool', 'bin'), 'cmp-hello', 'local');
+
+      writeTool('missing-tool', { adapter: true, wraps: 'cmp-missing-binary' }, [
+        { patterns: ['find missing'], command: 'cmp-missing-binary' }
+      ]);
+
+      // A same-named binary earlier in PATH must not be picked up
+      writeScript(join(root, 'shadow'), 'cmp-hello', 'shadow');
+      process.env.PATH = `${join(root, 'shadow')}:${originalPath}`;
+
+      binRouter = new Router({ searchPaths: [join(root, 'tools')] });
+      await binRouter.init();
+    });
+
+    afterAll(() => {
+      process.env.PATH = originalPath;
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should run the tool-local binary by absolute path', async () => {
+      const binaryPath = join(root, 'tools', 'local-tool', 'bin', 'cmp-hello');
+
+      const result = await binRouter.intent({ want: 'say hello' });
+      expect(result.command).toBe(binaryPath);
+      expect(result.output).toEqual({ raw: 'local' });
+
+      const argvResult = await binRouter.intent({ want: 'shout hello' });
+      expect(argvResult.command).toBe(`${binaryPath} loudly`);
+      expect(argvResult.output).toEqual({ raw: 'local' });
+    });
+
+    it('should report availability in manifests and domains', () => {
+      const manifests = Object.fromEntries(binRouter.manifests().manifests.map(m => [m.name, m]));
+
+      expect(manifests['local-tool'].available).toBe(true);
+      expect(manifests['missing-tool'].available).toBe(false);
+      expect(binRouter.domains().unavailable).toEqual([
+        { name: 'missing-tool', domain: 'bin-test', binary: 'cmp-missing-binary' }
+      ]);
+    });
+
+    it('should reject intents for unavailable tools', async () => {
+      await expect(binRouter.intent({ want: 'find missing' })).rejects.toMatchObject({
+        code: ErrorCodes.TOOL_UNAVAILABLE,
+        data: { tool: 'missing-tool', binary: 'cmp-missing-binary' }
+      });
+    });
+  });
+
+  describe('dependencies', () => {
+    let depRouter;
+
+    const withRequires = async (options = {}) => {
+      const instance = new Router({ searchPaths: [FIXTURES_PATH], ...options });
+      await instance.init();
+      instance.registry.getTool('mock-tool').requires = ['storage'];
+      return instance;
+    };
+
+    beforeEach(async () => {
+      depRouter = await withRequires();
+    });
+
+    it('should report unmet requires in cmp.manifests', () => {
+      expect(depRouter.manifests().dependencies).toEqual({
+        unmet: [{ tool: 'mock-tool', domain: 'test', missing: ['storage'] }],
+        cycles: []
+      });
+      expect(depRouter.manifests('other').dependencies.unmet).toEqual([]);
+    });
+
+    it('should report cycles and unmet requires in doctor', () => {
+      depRouter.registry.register({ name: 'store', domain: 'storage', requires: ['test'] });
+
+      expect(depRouter.doctor()).toEqual({
+        healthy: false,
+        tools: 2,
+        unavailable: [],
+        unmet: [],
+        cycles: [['storage', 'test', 'storage']],
+        shadowed: []
+      });
+    });
+
+    it('should report a healthy registry', () => {
+      expect(router.doctor()).toMatchObject({ healthy: true, unmet: [], cycles: [] });
+    });
+
+    it('should run intents with unmet requires unless enforced', async () => {
+      const result = await depRouter.intent({ want: 'echo message', context: { message: 'hi' } });
+      expect(result.success).toBe(true);
+
+      const strictRouter = await withRequires({ enforceRequires: true });
+      await expect(strictRouter.intent({ want: 'echo message', context: { message: 'hi' } }))
+        .rejects.toMatchObject({
+          code: ErrorCodes.REQUIREMENTS_UNMET,
+          data: { tool: 'mock-tool', missing: ['storage'] }
+        });
+    });
+  });
+
+  describe('qualified tool names', () => {
+    let qualifiedRouter;
+
+    beforeAll(async () => {
+      qualifiedRouter = new Router({ searchPaths: [FIXTURES_PATH] });
+      await qualifiedRouter.init();
+
+      // Same tool name in another domain, only reachable as other/mock-tool
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      qualifiedRouter.registry.register({
+        ...qualifiedRouter.registry.getTool('mock-tool'),
+        domain: 'other',
+        summary: 'Another mock tool'
+      });
+      warn.mockRestore();
+    });
+
+    it('should accept domain/name in capabilities and schema', async () => {
+      const result = await qualifiedRouter.capabilities('test/mock-tool');
+      expect(result.intents.length).toBeGreaterThan(0);
+
+      const schema = await qualifiedRouter.schema('other/mock-tool', 'echo message');
+      expect(schema.command).toBeDefined();
+
+      await expect(qualifiedRouter.capabilities('nowhere/mock-tool')).rejects.toMatchObject({
+        code: ErrorCodes.TOOL_NOT_FOUND
+      });
+    });
+
+    it('should restrict cmp.intent matching to the given tool', async () => {
+      const result = await qualifiedRouter.intent({
+        want: 'echo message',
+        context: { message: 'hi' },
+        tool: 'other/mock-tool'
+      });
+      expect(result.success).toBe(true);
+
+      await expect(qualifiedRouter.intent({ want: 'echo message', tool: 'missing' }))
+        .rejects.toMatchObject({ code: ErrorCodes.TOOL_NOT_FOUND });
+    });
+
+    it('should list the shadowed name in doctor', () => {
+      expect(qualifiedRouter.doctor().shadowed).toEqual([
+        expect.objectContaining({ tool: 'other/mock-tool', by: 'test/mock-tool' })
+      ]);
+    });
+  });
+
+  describe('dry run', () => {
+    it('should return the resolved command without executing', async () => {
+      const result = await router.intent({ want: 'greet user', dryRun: true });
+
+      expect(result).toEqual({
+        success: true,
+        dry_run: true,
+        tool: 'mock-tool',
+        intent: 'greet user',
+        params: { name: 'World' },
+        defaults_applied: { name: 'World' },
+        command: "echo 'Hello, World!'",
+        requires_confirm: false
+      });
+      expect(result).not.toHaveProperty('output');
+    });
+
+    it('should not spawn confirm-required intents or issue tokens', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-dry-run-'));
+      const target = join(dir, 'keep.txt');
+      writeFileSync(target, 'keep');
+
+      try {
+        const result = await router.intent({
+          want: 'delete file',
+          context: { path: target },
+          dryRun: true
+        });
+
+        expect(result.dry_run).toBe(true);
+        expect(result.requires_confirm).toBe(true);
+        expect(result.command).toContain('rm');
+        expect(result).not.toHaveProperty('confirmation_token');
+        expect(existsSync(target)).toBe(true);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should include argv for argv intents', async () => {
+      const result = await router.intent({
+        want: 'print arguments',
+        context: { values: ['a b', 'c'] },
+        dryRun: true
+      });
+
+      expect(result.argv).toEqual(['printf', '%s|', 'a b', 'c']);
+      expect(result.params).toEqual({ values: ['a b', 'c'] });
+    });
+
+    it('should still report validation errors', async () => {
+      await expect(router.intent({ want: 'echo message', dryRun: true }))
+        .rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('examples', () => {
+    let exampleRouter;
+
+    beforeAll(async () => {
+      exampleRouter = new Router({ searchPaths: [EXAMPLES_PATH] });
+      await exampleRouter.init();
+    });
+
+    it('should return all examples of a tool', async () => {
+      const { examples } = await exampleRouter.examples('inboxd');
+      expect(examples).toHaveLength(4);
+      expect(examples[0].invocation).toEqual({ want: 'check email' });
+    });
+
+    it('should filter examples by intent pattern', async () => {
+      const { examples } = await exampleRouter.examples('email/inboxd', 'trash messages');
+      expect(examples.map(e => e.intent)).toEqual(['Delete emails abc123 and def456']);
+
+      await expect(exampleRouter.examples('inboxd', 'unknown pattern xyz'))
+        .rejects.toMatchObject({ code: ErrorCodes.NO_MATCH });
+    });
+
+    it('should return no examples for tools without examples.json', async () => {
+      expect(await router.examples('mock-tool')).toEqual({ examples: [] });
+    });
+
+    it('should add one example per tool to the context snippet on request', async () => {
+      const snippet = await exampleRouter.contextSnippet({ examples: true });
+      expect(snippet).toContain('e.g. "How many unread emails do I have?" → {"want":"check email"}');
+      expect(await exampleRouter.contextSnippet()).not.toContain('e.g.');
+    });
+  });
+
+  describe('inboxd example matching', () => {
+    let exampleRouter;
+
+    beforeAll(async () => {
+      exampleRouter = new Router({ searchPaths: [EXAMPLES_PATH] });
+      await exampleRouter.init();
+    });
+
+    it.each([
+      ['delete my emails', 'delete emails'],
+      ['How many unread emails do I have?', 'check email'],
+      ['undo my last deletion', 'restore emails'],
+      ['show accounts', 'list accounts']
+    ])('should resolve "%s" to "%s"', async (want, intent) => {
+      const result = await exampleRouter.explain(want);
+
+      expect(result.ambiguous).toBe(false);
+      expect(result.selected).toMatchObject({ tool: 'inboxd', intent });
+    });
+
+    it.each(['email', 'mark emails as read'])(
+      'should ask for clarification when "%s" only shares a word every intent has',
+      async want => {
+        const result = await exampleRouter.explain(want);
+
+        expect(result.ambiguous).toBe(true);
+        expect(result.selected).toBeNull();
+      }
+    );
+  });
+
   describe('contextSnippet', () => {
-    it('should generate a context snippet', () => {
-      const snippet = router.contextSnippet();
+    it('should generate a context snippet', async () => {
+      const snippet = await router.contextSnippet();
       expect(typeof snippet).toBe('string');
       expect(snippet).toContain('test');
       expect(snippet).toContain('mock-tool');
+      expect(snippet).toContain('"confirm": true\nand that "confirmation_token"');
     });
   });
 });
@@ -213,6 +977,42 @@ describe('Router Error Handling', () => {
     }
   });
 
+  describe('denied tools', () => {
+    let deniedRouter;
+
+    beforeAll(async () => {
+      deniedRouter = new Router({
+        searchPaths: [FIXTURES_PATH],
+        denyList: ['test:*']
+      });
+      await deniedRouter.init();
+    });
+
+    it('should hide denied tools from discovery', () => {
+      expect(deniedRouter.domains().domains).not.toContain('test');
+      expect(deniedRouter.manifests().manifests.map(m => m.name)).not.toContain('mock-tool');
+    });
+
+    it('should reject capabilities and schema with TOOL_DENIED', async () => {
+      await expect(deniedRouter.capabilities('mock-tool'))
+        .rejects.toMatchObject({ code: ErrorCodes.TOOL_DENIED });
+      await expect(deniedRouter.schema('mock-tool', 'echo message'))
+        .rejects.toMatchObject({ code: ErrorCodes.TOOL_DENIED });
+    });
+
+    it('should reject intents that match a denied tool', async () => {
+      await expect(deniedRouter.intent({
+        want: 'echo message',
+        context: { message: 'hello' }
+      })).rejects.toMatchObject({ code: ErrorCodes.TOOL_DENIED, data: { tool: 'mock-tool' } });
+    });
+
+    it('should still report NO_MATCH for unrelated intents', async () => {
+      await expect(deniedRouter.intent({ want: 'completely unknown action xyz123' }))
+        .rejects.toMatchObject({ code: ErrorCodes.NO_MATCH });
+    });
+  });
+
   it('should include error data in CMPError', async () => {
     try {
       await router.capabilities('nonexistent');
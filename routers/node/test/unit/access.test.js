@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { globToRegExp, matchesToolEntry, isToolAllowed } from '../../src/access.js';
+
+describe('Access', () => {
+  const inboxd = { name: 'inboxd', domain: 'email' };
+  const gitHelper = { name: 'git-helper', domain: 'git' };
+
+  describe('globToRegExp', () => {
+    it('should match literal names exactly', () => {
+      expect(globToRegExp('inboxd').test('inboxd')).toBe(true);
+      expect(globToRegExp('inboxd').test('inboxd2')).toBe(false);
+    });
+
+    it('should support * and ? wildcards', () => {
+      expect(globToRegExp('git-*').test('git-helper')).toBe(true);
+      expect(globToRegExp('tool?').test('tool1')).toBe(true);
+      expect(globToRegExp('tool?').test('tool12')).toBe(false);
+    });
+
+    it('should escape regex metacharacters', () => {
+      expect(globToRegExp('a.b').test('aXb')).toBe(false);
+      expect(globToRegExp('a.b').test('a.b')).toBe(true);
+    });
+  });
+
+  describe('matchesToolEntry', () => {
+    it('should match by tool name', () => {
+      expect(matchesToolEntry('inboxd', inboxd)).toBe(true);
+      expect(matchesToolEntry('inboxd', gitHelper)).toBe(false);
+    });
+
+    it('should match domain-level entries', () => {
+      expect(matchesToolEntry('email:*', inboxd)).toBe(true);
+      expect(matchesToolEntry('email:', inboxd)).toBe(true);
+      expect(matchesToolEntry('email:*', gitHelper)).toBe(false);
+    });
+
+    it('should match domain and name globs together', () => {
+      expect(matchesToolEntry('git:git-*', gitHelper)).toBe(true);
+      expect(matchesToolEntry('email:git-*', gitHelper)).toBe(false);
+    });
+
+    it('should ignore empty or non-string entries', () => {
+      expect(matchesToolEntry('', inboxd)).toBe(false);
+      expect(matchesToolEntry(null, inboxd)).toBe(false);
+    });
+  });
+
+  describe('isToolAllowed', () => {
+    it('should allow everything by default', () => {
+      expect(isToolAllowed(inboxd)).toBe(true);
+    });
+
+    it('should restrict to allowList entries', () => {
+      const lists = { allowList: ['git:*'], denyList: [] };
+      expect(isToolAllowed(gitHelper, lists)).toBe(true);
+      expect(isToolAllowed(inboxd, lists)).toBe(false);
+    });
+
+    it('should let denyList win over allowList', () => {
+      const lists = { allowList: ['*'], denyList: ['inboxd'] };
+      expect(isToolAllowed(inboxd, lists)).toBe(false);
+      expect(isToolAllowed(gitHelper, lists)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  loadTokens,
+  authenticate,
+  isOriginAllowed,
+  isMethodPermitted,
+  isToolPermitted,
+  validateTokens
+} from '../../src/auth.js';
+
+describe('Auth', () => {
+  const admin = { name: 'admin', token: 'admin-token-0123456789', scopes: {} };
+  const reader = {
+    name: 'reader',
+    token: 'reader-token-0123456789',
+    scopes: { methods: ['cmp.domains', 'cmp.schema*'], tools: ['email:*', 'git'] }
+  };
+
+  describe('loadTokens', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'cmp-auth-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should merge config tokens with the tokens file', () => {
+      const file = join(dir, 'tokens.json');
+      writeFileSync(file, JSON.stringify([{ token: 'file-token-0123456789' }]));
+
+      expect(loadTokens({ authTokens: [reader], authTokensFile: file })).toEqual([
+        reader,
+        { name: 'token-2', token: 'file-token-0123456789', scopes: {} }
+      ]);
+    });
+
+    it('should reject an invalid tokens file', () => {
+      const file = join(dir, 'tokens.json');
+      writeFileSync(file, JSON.stringify([{ token: 'short' }]));
+
+      expect(() => loadTokens({ authTokensFile: file })).toThrow(/at least 16 characters/);
+      expect(() => loadTokens({ authTokensFile: join(dir, 'missing.json') })).toThrow(/Failed to load tokens/);
+    });
+
+    it('should return no clients without tokens', () => {
+      expect(loadTokens({})).toEqual([]);
+    });
+  });
+
+  describe('authenticate', () => {
+    const clients = [admin, reader];
+
+    it('should find the client for a bearer token', () => {
+      expect(authenticate(`Bearer ${reader.token}`, clients)).toBe(reader);
+      expect(authenticate(`bearer ${admin.token}`, clients)).toBe(admin);
+    });
+
+    it('should reject missing, malformed and unknown tokens', () => {
+      expect(authenticate(undefined, clients)).toBeNull();
+      expect(authenticate(admin.token, clients)).toBeNull();
+      expect(authenticate('Basic YWRtaW46YWRtaW4=', clients)).toBeNull();
+      expect(authenticate('Bearer wrong-token-0123456789', clients)).toBeNull();
+    });
+  });
+
+  describe('isOriginAllowed', () => {
+    it('should allow only listed origins', () => {
+      expect(isOriginAllowed('https://app.example', ['https://app.example'])).toBe(true);
+      expect(isOriginAllowed('https://evil.example', ['https://app.example'])).toBe(false);
+      expect(isOriginAllowed('https://app.example', [])).toBe(false);
+      expect(isOriginAllowed('https://any.example', ['*'])).toBe(true);
+    });
+  });
+
+  describe('scopes', () => {
+    it('should match methods by name or glob', () => {
+      expect(isMethodPermitted(reader, 'cmp.domains')).toBe(true);
+      expect(isMethodPermitted(reader, 'cmp.schema')).toBe(true);
+      expect(isMethodPermitted(reader, 'cmp.intent')).toBe(false);
+      expect(isMethodPermitted(admin, 'cmp.intent')).toBe(true);
+    });
+
+    it('should match tools like allowList entries', () => {
+      expect(isToolPermitted(reader, { name: 'inboxd', domain: 'email' })).toBe(true);
+      expect(isToolPermitted(reader, { name: 'git', domain: 'vcs' })).toBe(true);
+      expect(isToolPermitted(reader, { name: 'rm', domain: 'files' })).toBe(false);
+      expect(isToolPermitted(admin, { name: 'rm', domain: 'files' })).toBe(true);
+    });
+  });
+
+  describe('validateTokens', () => {
+    it('should accept valid tokens', () => {
+      expect(validateTokens([admin, reader])).toEqual([]);
+    });
+
+    it('should reject invalid entries', () => {
+      expect(validateTokens([
+        { token: 'short', name: '' },
+        { token: 'long-enough-token-123', scopes: { methods: 'cmp.*', domains: ['email'] } },
+        'token'
+      ])).toEqual([
+        'authTokens[0].token must be a string of at least 16 characters',
+        'authTokens[0].name must be a non-empty string',
+        'authTokens[1].scopes.methods must be an array of method names',
+        'authTokens[1].scopes.domains is not a known scope (methods, tools)',
+        'authTokens[2] must be an object'
+      ]);
+      expect(validateTokens({})).toEqual(['authTokens must be an array of tokens']);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import {
+  expandInclude,
+  readCapabilityFiles,
+  loadCapabilityFiles,
+  CapabilityLoadError
+} from '../../src/capability.js';
+
+describe('Capability', () => {
+  let dir;
+
+  const write = (file, content) => {
+    mkdirSync(dirname(join(dir, file)), { recursive: true });
+    writeFileSync(join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  const intent = pattern => ({ patterns: [pattern], command: `echo ${pattern}` });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cmp-capability-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('expandInclude', () => {
+    it('should expand globs within a segment, sorted', async () => {
+      write('capabilities/b.json', {});
+      write('capabilities/a.json', {});
+      write('capabilities/notes.txt', '');
+      write('capabilities/nested/c.json', {});
+
+      expect(await expandInclude(dir, 'capabilities/*.json')).toEqual([
+        'capabilities/a.json',
+        'capabilities/b.json'
+      ]);
+      expect(await expandInclude(dir, './capabilities/*/c.json')).toEqual(['capabilities/nested/c.json']);
+    });
+
+    it('should return literal paths only if they exist', async () => {
+      write('extra.json', {});
+
+      expect(await expandInclude(dir, 'extra.json')).toEqual(['extra.json']);
+      expect(await expandInclude(dir, 'missing.json')).toEqual([]);
+      expect(await expandInclude(dir, 'missing/*.json')).toEqual([]);
+    });
+  });
+
+  describe('loadCapabilityFiles', () => {
+    it('should load capability.json without includes as-is', async () => {
+      write('capability.json', { intents: [intent('one')] });
+
+      expect(await loadCapabilityFiles(dir)).toEqual({ intents: [intent('one')] });
+    });
+
+    it('should merge included intents after the main file', async () => {
+      write('capability.json', {
+        include: ['capabilities/*.json', 'extra.json'],
+        intents: [intent('main')]
+      });
+      write('capabilities/b.json', { intents: [intent('b')] });
+      write('capabilities/a.json', { intents: [intent('a1'), intent('a2')] });
+      write('extra.json', { intents: [intent('extra')] });
+
+      const capability = await loadCapabilityFiles(dir);
+
+      expect(capability).not.toHaveProperty('include');
+      expect(capability.intents.map(i => i.patterns[0])).toEqual(['main', 'a1', 'a2', 'b', 'extra']);
+    });
+
+    it('should report errors per file', async () => {
+      write('capability.json', { include: ['capabilities/*.json', 'missing.json', '../outside.json'] });
+      write('capabilities/broken.json', '{ nope');
+      write('capabilities/empty.json', {});
+      write('capabilities/nested.json', { include: ['x.json'], intents: [] });
+
+      const error = await loadCapabilityFiles(dir).catch(err => err);
+
+      expect(error).toBeInstanceOf(CapabilityLoadError);
+      expect(error.errors.map(e => e.file)).toEqual([
+        'capabilities/broken.json',
+        'missing.json',
+        'capability.json',
+        'capabilities/empty.json',
+        'capabilities/nested.json'
+      ]);
+      expect(error.errors[2].message).toContain('must be inside the cmp directory');
+      expect(error.message).toContain('capabilities/empty.json: Required field');
+    });
+  });
+
+  describe('readCapabilityFiles', () => {
+    it('should reject a non-array include', async () => {
+      write('capability.json', { include: 'capabilities/*.json', intents: [] });
+
+      const { files, errors } = await readCapabilityFiles(dir);
+
+      expect([...files.keys()]).toEqual(['capability.json']);
+      expect(errors).toEqual([
+        { file: 'capability.json', message: 'include must be an array of paths or globs' }
+      ]);
+    });
+  });
+});
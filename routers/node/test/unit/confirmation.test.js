@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ConfirmationTokens, canonicalJSON, DEFAULT_CONFIRM_TTL } from '../../src/confirmation.js';
+
+describe('Confirmation', () => {
+  const binding = {
+    tool: 'inboxd',
+    intent: 'delete emails',
+    params: { ids: ['a', 'b'] },
+    command: 'inbox delete --ids a b --confirm'
+  };
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('canonicalJSON', () => {
+    it('should sort object keys recursively', () => {
+      expect(canonicalJSON({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: 'x' } }))
+        .toBe('{"a":{"c":"x","d":[2,{"e":0,"f":1}]},"b":1}');
+    });
+
+    it('should skip undefined properties', () => {
+      expect(canonicalJSON({ a: undefined, b: null })).toBe('{"b":null}');
+    });
+  });
+
+  describe('ConfirmationTokens', () => {
+    it('should default to a 5 minute ttl', () => {
+      expect(new ConfirmationTokens().ttl).toBe(DEFAULT_CONFIRM_TTL);
+    });
+
+    it('should verify a token for the same binding', () => {
+      const tokens = new ConfirmationTokens();
+      const { token, expires_at } = tokens.issue(binding);
+
+      expect(expires_at).toBeGreaterThan(Date.now());
+      expect(tokens.verify(token, { ...binding, params: { ids: ['a', 'b'] } })).toEqual({ valid: true });
+    });
+
+    it('should reject a token that was already used', () => {
+      const tokens = new ConfirmationTokens();
+      const first = tokens.issue(binding);
+      const second = tokens.issue(binding);
+
+      expect(first.token).not.toBe(second.token);
+      expect(tokens.verify(first.token, binding)).toEqual({ valid: true });
+      expect(tokens.verify(first.token, binding)).toEqual({ valid: false, reason: 'used' });
+      expect(tokens.verify(second.token, binding)).toEqual({ valid: true });
+    });
+
+    it('should forget used tokens once they expire', () => {
+      vi.useFakeTimers();
+      const tokens = new ConfirmationTokens({ ttl: 1000 });
+      const { token } = tokens.issue(binding);
+
+      tokens.verify(token, binding);
+      vi.advanceTimersByTime(1001);
+      expect(tokens.verify(token, binding).reason).toBe('expired');
+      tokens.forgetExpired();
+      expect(tokens.used.size).toBe(0);
+    });
+
+    it('should reject a token for different params', () => {
+      const tokens = new ConfirmationTokens();
+      const { token } = tokens.issue(binding);
+
+      expect(tokens.verify(token, { ...binding, params: { ids: ['c'] } }))
+        .toEqual({ valid: false, reason: 'mismatch' });
+    });
+
+    it('should reject missing, malformed and tampered tokens', () => {
+      const tokens = new ConfirmationTokens();
+      const { token } = tokens.issue(binding);
+      const [payload, signature] = token.split('.');
+
+      expect(tokens.verify(undefined, binding).reason).toBe('missing');
+      expect(tokens.verify('nodot', binding).reason).toBe('malformed');
+      expect(tokens.verify(`${payload}x.${signature}`, binding).reason).toBe('invalid_signature');
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const { token } = new ConfirmationTokens({ secret: 'one' }).issue(binding);
+      expect(new ConfirmationTokens({ secret: 'two' }).verify(token, binding).reason)
+        .toBe('invalid_signature');
+    });
+
+    it('should reject expired tokens', () => {
+      vi.useFakeTimers();
+      const tokens = new ConfirmationTokens({ ttl: 1000 });
+      const { token } = tokens.issue(binding);
+
+      vi.advanceTimersByTime(1001);
+      expect(tokens.verify(token, binding).reason).toBe('expired');
+    });
+  });
+});
@@ -1,5 +1,8 @@
 import { describe, it, expect, vi } from 'vitest';
 import { Executor, ExecutionError } from '../../src/executor.js';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync, rmSync, utimesSync } from 'fs';
+import { dirname } from 'path';
 
 describe('Executor', () => {
   describe('constructor', () => {
@@ -8,6 +11,8 @@ describe('Executor', () => {
       expect(executor.timeout).toBe(30000);
       expect(executor.enableLogging).toBe(false);
       expect(executor.logger).toBe(console);
+      expect(executor.maxOutputBytes).toBe(10 * 1024 * 1024);
+      expect(executor.overflow).toBe('truncate');
     });
 
     it('should accept custom options', () => {
@@ -116,6 +121,91 @@ describe('Executor', () => {
     });
   });
 
+  describe('buildArgv', () => {
+    const executor = new Executor();
+
+    it('should substitute values verbatim without shell escaping', () => {
+      const intent = {
+        argv: ['echo', '{msg}'],
+        params: { msg: { type: 'string' } }
+      };
+
+      const result = executor.buildCommand(intent, { msg: "it's; rm -rf /" });
+      expect(result.argv).toEqual(['echo', "it's; rm -rf /"]);
+      expect(result.command).toBe("echo 'it'\\''s; rm -rf /'");
+    });
+
+    it('should expand spread placeholders into multiple entries', () => {
+      const intent = {
+        argv: ['inbox', 'delete', '--ids', '{ids...}'],
+        params: { ids: { type: 'array<string>', required: true } }
+      };
+
+      const result = executor.buildCommand(intent, { ids: ['a b', 'c'] });
+      expect(result.argv).toEqual(['inbox', 'delete', '--ids', 'a b', 'c']);
+    });
+
+    it('should drop optional spread placeholders that are absent', () => {
+      const intent = {
+        argv: ['tool', '{extra...}'],
+        params: { extra: { type: 'array<string>' } }
+      };
+
+      expect(executor.buildCommand(intent, {}).argv).toEqual(['tool']);
+    });
+
+    it('should substitute embedded placeholders and defaults', () => {
+      const intent = {
+        argv: ['inbox', 'analyze', '--count={count}'],
+        params: { count: { type: 'integer', default: 20 } }
+      };
+
+      expect(executor.buildCommand(intent, {}).argv).toEqual(['inbox', 'analyze', '--count=20']);
+    });
+
+    it('should reject array values in non-spread placeholders', () => {
+      const intent = {
+        argv: ['tool', '{ids}'],
+        params: { ids: { type: 'array<string>' } }
+      };
+
+      expect(() => executor.buildCommand(intent, { ids: ['a'] })).toThrow(ExecutionError);
+    });
+
+    it('should reject unsubstituted placeholders', () => {
+      const intent = {
+        argv: ['tool', '{name}'],
+        params: { name: { type: 'string' } }
+      };
+
+      expect(() => executor.buildCommand(intent, {})).toThrow(/unsubstituted placeholders: name/);
+    });
+  });
+
+  describe('pinBinary', () => {
+    const executor = new Executor();
+    const binary = { name: 'inbox', path: '/opt/inboxd/bin/inbox' };
+
+    it('should replace a leading binary name in shell commands', () => {
+      const { command } = executor.buildCommand({ command: 'inbox list --limit {n}' }, { n: 5 }, { binary });
+      expect(command).toBe('/opt/inboxd/bin/inbox list --limit 5');
+    });
+
+    it('should replace argv[0] and the display command', () => {
+      const built = executor.buildCommand({ argv: ['inbox', 'show', '{id}'] }, { id: 'a b' }, { binary });
+
+      expect(built.argv).toEqual(['/opt/inboxd/bin/inbox', 'show', 'a b']);
+      expect(built.command).toBe("/opt/inboxd/bin/inbox show 'a b'");
+    });
+
+    it('should leave commands that do not start with the binary alone', () => {
+      expect(executor.buildCommand({ command: 'inboxctl list' }, {}, { binary }).command).toBe('inboxctl list');
+      expect(executor.buildCommand({ command: 'echo inbox' }, {}, { binary }).command).toBe('echo inbox');
+      expect(executor.buildCommand({ command: 'inbox list' }, {}, { binary: { name: 'inbox' } }).command)
+        .toBe('inbox list');
+    });
+  });
+
   describe('run', () => {
     // Short timeout for testing
     const executor = new Executor({ timeout: 2000 });
@@ -156,6 +246,204 @@ describe('Executor', () => {
       }
     });
 
+    it('should spawn argv arrays without a shell', async () => {
+      const output = await executor.run(['printf', '%s', '$HOME; echo pwned']);
+      expect(output).toEqual({ raw: '$HOME; echo pwned' });
+    });
+
+    it('should stream stdout and stderr chunks instead of buffering', async () => {
+      const chunks = [];
+      const result = await executor.run('echo out; echo err >&2', {
+        onOutput: chunk => chunks.push(chunk)
+      });
+
+      expect(result).toEqual({ exit_code: 0 });
+      expect(chunks).toContainEqual({ stream: 'stdout', data: 'out\n' });
+      expect(chunks).toContainEqual({ stream: 'stderr', data: 'err\n' });
+    });
+
+    it('should stream NDJSON stdout as records', async () => {
+      const chunks = [];
+      await executor.run(['printf', '{"n":1}\n{"n":2}\nplain'], {
+        onOutput: chunk => chunks.push(chunk),
+        ndjson: true
+      });
+
+      expect(chunks).toEqual([
+        { stream: 'stdout', record: { n: 1 } },
+        { stream: 'stdout', record: { n: 2 } },
+        { stream: 'stdout', data: 'plain' }
+      ]);
+    });
+
+    it('should report the exit code of failed streamed commands', async () => {
+      const chunks = [];
+      await expect(executor.run('echo partial; exit 3', {
+        onOutput: chunk => chunks.push(chunk)
+      })).rejects.toMatchObject({ data: { exit_code: 3 } });
+
+      expect(chunks).toEqual([{ stream: 'stdout', data: 'partial\n' }]);
+    });
+
+    it('should cancel a running command when the signal aborts', async () => {
+      const controller = new AbortController();
+      const started = Date.now();
+      setTimeout(() => controller.abort(), 50);
+
+      await expect(executor.run('sleep 5', { signal: controller.signal }))
+        .rejects.toMatchObject({ code: -32009, data: { cancelled: true } });
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should kill the whole process group on cancel', async () => {
+      const controller = new AbortController();
+      let pid;
+
+      await expect(executor.run('sleep 5 & echo $!; wait', {
+        signal: controller.signal,
+        onOutput: chunk => {
+          pid = Number(chunk.data);
+          controller.abort();
+        }
+      })).rejects.toMatchObject({ code: -32009 });
+
+      // The background sleep is gone (or an unreaped zombie)
+      expect(pid).toBeGreaterThan(0);
+      const state = spawnSync('ps', ['-o', 'stat=', '-p', String(pid)]).stdout.toString().trim();
+      expect(state === '' || state.startsWith('Z')).toBe(true);
+    });
+
+    it('should stop every running process group on close', async () => {
+      const executor = new Executor();
+      let pid;
+      const running = executor.run('sleep 5 & echo $!; wait', {
+        onOutput: chunk => { pid = Number(chunk.data); }
+      });
+      await vi.waitFor(() => expect(pid).toBeGreaterThan(0));
+
+      await executor.close();
+      await expect(running).rejects.toMatchObject({ code: -32009 });
+      const state = spawnSync('ps', ['-o', 'stat=', '-p', String(pid)]).stdout.toString().trim();
+      expect(state === '' || state.startsWith('Z')).toBe(true);
+
+      await expect(executor.run('echo never')).rejects.toMatchObject({ code: -32009 });
+    });
+
+    it('should not start a command when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(executor.run('echo never', { signal: controller.signal }))
+        .rejects.toMatchObject({ code: -32009 });
+    });
+
+    it('should refuse to run when the sandbox cannot be enforced', async () => {
+      const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+      Object.defineProperty(process, 'platform', { value: 'darwin' });
+
+      try {
+        await expect(executor.run('echo never', { sandbox: { readOnly: ['/data'] } }))
+          .rejects.toMatchObject({
+            code: -32001,
+            data: { sandbox: ['Read-only paths require Linux with unshare'] }
+          });
+      } finally {
+        Object.defineProperty(process, 'platform', platform);
+      }
+    });
+
+    describe('output limits', () => {
+      it('should truncate stdout past maxOutputBytes by default', async () => {
+        const result = await executor.runDetailed(['printf', '%s', '0123456789abcdef'], {
+          maxOutputBytes: 10
+        });
+
+        expect(result).toEqual({ output: { raw: '0123456789' }, exit_code: 0, truncated: true });
+      });
+
+      it('should not flag output within the limit', async () => {
+        const result = await executor.runDetailed(['printf', '%s', 'short'], { maxOutputBytes: 10 });
+        expect(result.truncated).toBe(false);
+        expect(result).not.toHaveProperty('output_file');
+      });
+
+      it('should kill the process when overflow is kill', async () => {
+        await expect(executor.runDetailed('yes', { maxOutputBytes: 1024, overflow: 'kill' }))
+          .rejects.toMatchObject({ data: { truncated: true, max_output_bytes: 1024 } });
+      });
+
+      it('should spill the full stdout to a temp file when overflow is spill', async () => {
+        const result = await executor.runDetailed(['printf', '%s', '0123456789abcdef'], {
+          maxOutputBytes: 10,
+          overflow: 'spill'
+        });
+
+        try {
+          expect(result.truncated).toBe(true);
+          expect(result.output).toEqual({ raw: '0123456789' });
+          expect(readFileSync(result.output_file, 'utf-8')).toBe('0123456789abcdef');
+        } finally {
+          rmSync(result.output_file, { force: true });
+        }
+      });
+
+      it('should spill the full stdout when streaming too', async () => {
+        const chunks = [];
+        const result = await executor.runDetailed(['printf', '%s', '0123456789abcdef'], {
+          maxOutputBytes: 10,
+          overflow: 'spill',
+          onOutput: chunk => chunks.push(chunk.data)
+        });
+
+        try {
+          expect(chunks.join('')).toBe('0123456789');
+          expect(readFileSync(result.output_file, 'utf-8')).toBe('0123456789abcdef');
+        } finally {
+          rmSync(result.output_file, { force: true });
+        }
+      });
+
+      it('should keep spill files in its own directory and remove it on close', async () => {
+        const spiller = new Executor({ maxOutputBytes: 4, overflow: 'spill' });
+        const first = await spiller.runDetailed(['printf', '%s', 'abcdef']);
+        const dir = dirname(first.output_file);
+
+        expect(dir).toMatch(/cmp-spill-/);
+
+        // A file older than spillTtl is swept when the next one is written
+        const old = new Date(Date.now() - 2 * 60 * 60 * 1000);
+        utimesSync(first.output_file, old, old);
+        const second = await spiller.runDetailed(['printf', '%s', 'ghijkl']);
+
+        expect(dirname(second.output_file)).toBe(dir);
+        await vi.waitFor(() => expect(existsSync(first.output_file)).toBe(false));
+        expect(readFileSync(second.output_file, 'utf-8')).toBe('ghijkl');
+
+        await spiller.close();
+        expect(existsSync(dir)).toBe(false);
+      });
+
+      it('should limit streamed output', async () => {
+        const chunks = [];
+        const result = await executor.runDetailed(['printf', '%s', '0123456789abcdef'], {
+          maxOutputBytes: 4,
+          onOutput: chunk => chunks.push(chunk)
+        });
+
+        expect(chunks).toEqual([{ stream: 'stdout', data: '0123' }]);
+        expect(result.truncated).toBe(true);
+      });
+
+      it('should use the executor default limit', async () => {
+        const limited = new Executor({ maxOutputBytes: 3 });
+        expect(await limited.run(['printf', '%s', 'abcdef'])).toEqual({ raw: 'abc' });
+      });
+    });
+
+    it('should reject an empty argv', async () => {
+      await expect(executor.run([])).rejects.toThrow(ExecutionError);
+    });
+
     it('should reject invalid commands with unsubstituted placeholders', async () => {
       try {
         await executor.run('echo {missing}');
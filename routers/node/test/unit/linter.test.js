@@ -0,0 +1,270 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateManifest,
+  validateCapability,
+  validateExamples,
+  validateTool,
+  estimateTokens
+} from '../../src/linter.js';
+import { join, dirname } from 'path';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MOCK_TOOL_PATH = join(__dirname, '../fixtures/mock-tool');
+const INBOXD_PATH = join(__dirname, '../../../../examples/inboxd');
+
+const types = issues => issues.map(issue => issue.type);
+
+describe('Linter', () => {
+  describe('validateManifest', () => {
+    const manifest = {
+      domain: 'email',
+      name: 'inboxd',
+      summary: 'Gmail management',
+      version: '1.0.0'
+    };
+
+    it('should accept a valid manifest', () => {
+      const result = validateManifest(manifest);
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+    });
+
+    it('should require domain, name, summary and version', () => {
+      const result = validateManifest({ name: 'x' });
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.path)).toEqual(['domain', 'summary', 'version']);
+    });
+
+    it('should enforce the 100 character summary limit', () => {
+      const result = validateManifest({ ...manifest, summary: 'x'.repeat(101) });
+      expect(types(result.errors)).toContain('summary_too_long');
+    });
+
+    it('should require semver versions', () => {
+      expect(validateManifest({ ...manifest, version: '1.0' }).valid).toBe(false);
+      expect(validateManifest({ ...manifest, version: '1.0.0-beta.1' }).valid).toBe(true);
+    });
+
+    it('should validate the sandbox profile without counting it toward the token budget', () => {
+      const valid = validateManifest({
+        ...manifest,
+        sandbox: { env: ['PATH', 'HOME', 'INBOX_*'], cwd: 'work', network: false, limits: { cpu: 10 } }
+      });
+      expect(valid.valid).toBe(true);
+      expect(valid.warnings).toEqual([]);
+
+      const invalid = validateManifest({ ...manifest, sandbox: { network: 'off' } });
+      expect(types(invalid.errors)).toEqual(['invalid_sandbox']);
+    });
+
+    it('should require a positive integer concurrency', () => {
+      expect(validateManifest({ ...manifest, concurrency: 1 }).valid).toBe(true);
+      expect(types(validateManifest({ ...manifest, concurrency: 0 }).errors)).toEqual(['invalid_type']);
+    });
+
+    it('should warn when the token budget is exceeded', () => {
+      const result = validateManifest({ ...manifest, tags: Array(20).fill('tag') });
+      expect(result.valid).toBe(true);
+      expect(types(result.warnings)).toContain('token_budget');
+      expect(result.tokens).toBe(estimateTokens({ ...manifest, tags: Array(20).fill('tag') }));
+    });
+
+    it('should reject non-object manifests', () => {
+      expect(validateManifest([]).valid).toBe(false);
+      expect(validateManifest(null).valid).toBe(false);
+    });
+  });
+
+  describe('validateCapability', () => {
+    const intent = (overrides = {}) => ({
+      patterns: ['do thing'],
+      command: 'tool {arg}',
+      params: { arg: { type: 'string', required: true } },
+      ...overrides
+    });
+
+    it('should accept a valid capability', () => {
+      const result = validateCapability({ intents: [intent()] });
+      expect(result.valid).toBe(true);
+      expect(result.intents).toBe(1);
+    });
+
+    it('should require an intents array', () => {
+      expect(validateCapability({}).valid).toBe(false);
+    });
+
+    it('should flag placeholders without params entries', () => {
+      const result = validateCapability({ intents: [intent({ command: 'tool {arg} {other}' })] });
+      expect(result.errors).toContainEqual(expect.objectContaining({
+        type: 'undeclared_placeholder',
+        path: 'intents[0].command'
+      }));
+    });
+
+    it('should check argv placeholders and reject spread in commands', () => {
+      const argv = validateCapability({
+        intents: [{ patterns: ['x'], argv: ['tool', '{ids...}'], params: {} }]
+      });
+      expect(types(argv.errors)).toContain('undeclared_placeholder');
+
+      const spread = validateCapability({
+        intents: [intent({ command: 'tool {arg...}' })]
+      });
+      expect(types(spread.errors)).toContain('invalid_placeholder');
+    });
+
+    it('should check output limit fields', () => {
+      const valid = validateCapability({ intents: [intent({ maxOutputBytes: 1024, outputOverflow: 'spill' })] });
+      expect(valid.valid).toBe(true);
+
+      const invalid = validateCapability({ intents: [intent({ maxOutputBytes: -1, outputOverflow: 'drop' })] });
+      expect(types(invalid.errors)).toEqual(['invalid_type', 'invalid_value']);
+    });
+
+    it('should flag invalid re: patterns', () => {
+      const result = validateCapability({ intents: [intent({ patterns: ['re:delete(('] })] });
+      expect(result.errors[0]).toMatchObject({ type: 'invalid_regex', path: 'intents[0].patterns[0]' });
+    });
+
+    it('should flag invalid patterns in the returns schema', () => {
+      const result = validateCapability({
+        intents: [intent({
+          returns: { type: 'array', items: { properties: { id: { type: 'string', pattern: '([a-z' } } } }
+        })]
+      });
+      expect(result.errors[0]).toMatchObject({
+        type: 'invalid_regex',
+        path: 'intents[0].returns.items.properties.id.pattern'
+      });
+    });
+
+    it('should warn about capture groups without params entries', () => {
+      const result = validateCapability({
+        intents: [intent({ patterns: ['re:do (?<arg>\\w+) (?<extra>\\w+)'] })]
+      });
+      expect(result.warnings).toContainEqual(expect.objectContaining({
+        type: 'undeclared_capture',
+        message: "Capture group 'extra' has no matching params entry"
+      }));
+    });
+
+    it('should flag unknown param types', () => {
+      const result = validateCapability({
+        intents: [intent({ params: { arg: { type: 'strng' } } })]
+      });
+      expect(types(result.errors)).toContain('unknown_type');
+    });
+
+    it('should flag enum/default conflicts and default type mismatches', () => {
+      const result = validateCapability({
+        intents: [intent({
+          command: 'tool {arg} {count}',
+          params: {
+            arg: { type: 'string', enum: ['a', 'b'], default: 'c' },
+            count: { type: 'integer', default: 'many' }
+          }
+        })]
+      });
+      expect(types(result.errors)).toEqual(['enum_default_conflict', 'default_type_mismatch']);
+    });
+
+    it('should require a command or argv', () => {
+      const result = validateCapability({ intents: [{ patterns: ['x'] }] });
+      expect(types(result.errors)).toContain('missing_required');
+    });
+
+    it('should warn about unused params and unconfirmed destructive intents', () => {
+      const result = validateCapability({
+        intents: [intent({ command: 'tool', destructive: true })]
+      });
+      expect(result.valid).toBe(true);
+      expect(types(result.warnings)).toEqual(['unused_param', 'destructive_without_confirm']);
+    });
+  });
+
+  describe('validateExamples', () => {
+    const capability = { intents: [{ patterns: ['check email'], command: 'inbox summary' }] };
+
+    it('should accept examples that resolve to an intent', () => {
+      const result = validateExamples({
+        examples: [{ intent: 'Any new mail?', invocation: { want: 'check email' } }]
+      }, capability);
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn when an example does not match any intent', () => {
+      const result = validateExamples({
+        examples: [{ intent: 'Play music', invocation: { want: 'play music' } }]
+      }, capability);
+      expect(types(result.warnings)).toContain('unmatched_example');
+    });
+
+    it('should require intent and invocation.want', () => {
+      const result = validateExamples({ examples: [{}] }, capability);
+      expect(result.errors.map(e => e.path)).toEqual(['examples[0].intent', 'examples[0].invocation.want']);
+    });
+  });
+
+  describe('validateTool', () => {
+    it('should validate a tool directory', async () => {
+      const result = await validateTool(MOCK_TOOL_PATH);
+      expect(result.valid).toBe(true);
+      expect(result.path).toContain('mock-tool/cmp');
+      expect(Object.keys(result.files)).toEqual(['manifest.json', 'capability.json']);
+    });
+
+    it('should validate examples.json when present', async () => {
+      const result = await validateTool(INBOXD_PATH);
+      expect(result.valid).toBe(true);
+      expect(result.files['examples.json'].valid).toBe(true);
+    });
+
+    it('should report included capability files separately', async () => {
+      const toolPath = mkdtempSync(join(tmpdir(), 'cmp-lint-include-'));
+      const cmpDir = join(toolPath, 'cmp');
+      mkdirSync(join(cmpDir, 'capabilities'), { recursive: true });
+
+      writeFileSync(join(cmpDir, 'manifest.json'), JSON.stringify({
+        name: 'split', domain: 'test', version: '1.0.0', summary: 'Split capability files'
+      }));
+      writeFileSync(join(cmpDir, 'capability.json'), JSON.stringify({
+        include: ['capabilities/*.json', 'more.json']
+      }));
+      writeFileSync(join(cmpDir, 'capabilities', 'good.json'), JSON.stringify({
+        intents: [{ patterns: ['say hi'], command: 'echo hi' }]
+      }));
+      writeFileSync(join(cmpDir, 'capabilities', 'bad.json'), JSON.stringify({
+        intents: [{ patterns: [], command: 'echo {missing}' }]
+      }));
+
+      try {
+        const result = await validateTool(toolPath);
+
+        expect(result.valid).toBe(false);
+        expect(Object.keys(result.files)).toEqual([
+          'manifest.json',
+          'capability.json',
+          'capabilities/bad.json',
+          'capabilities/good.json',
+          'more.json'
+        ]);
+        expect(result.files['capability.json']).toMatchObject({ valid: true, intents: 2 });
+        expect(result.files['capabilities/good.json'].valid).toBe(true);
+        expect(result.files['capabilities/bad.json'].errors.map(e => e.type)).toContain('missing_required');
+        expect(result.files['more.json'].errors[0].type).toBe('missing_file');
+      } finally {
+        rmSync(toolPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should report missing manifests', async () => {
+      const result = await validateTool('/path/does/not/exist/999');
+      expect(result.valid).toBe(false);
+      expect(result.files['manifest.json'].errors[0].type).toBe('missing_file');
+    });
+  });
+});
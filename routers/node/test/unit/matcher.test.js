@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { Matcher } from '../../src/matcher.js';
+import { Matcher, tokenize } from '../../src/matcher.js';
 
 describe('Matcher', () => {
   let matcher;
@@ -61,41 +61,6 @@ describe('Matcher', () => {
     });
   });
 
-  describe('matchesSummary', () => {
-    it('should detect keyword overlap', () => {
-      const summary = 'A tool for managing database records';
-      const intent = 'I need to manage my database';
-
-      const result = matcher.matchesSummary(intent, summary);
-      expect(result).toBe(true);
-    });
-
-    it('should ignore short words (<= 2 chars)', () => {
-      const summary = 'go to the io';
-      const intent = 'to go to io';
-
-      // "go", "to", "io" are all length 2 or less
-      const result = matcher.matchesSummary(intent, summary);
-      expect(result).toBe(false);
-    });
-
-    it('should be case insensitive', () => {
-      const summary = 'WEATHER FORECAST';
-      const intent = 'weather forecast';
-
-      const result = matcher.matchesSummary(intent, summary);
-      expect(result).toBe(true);
-    });
-
-    it('should return false for no overlap', () => {
-      const summary = 'image processing tool';
-      const intent = 'text editing';
-
-      const result = matcher.matchesSummary(intent, summary);
-      expect(result).toBe(false);
-    });
-  });
-
   describe('match', () => {
     let mockRegistry;
 
@@ -153,7 +118,9 @@ describe('Matcher', () => {
       expect(result).toBeDefined();
       expect(result.tool).toBe(weatherTool);
       expect(result.intent.name).toBe('get_forecast');
-      expect(result.score).toBe(1.0);
+      expect(result.score).toBeGreaterThan(0);
+      expect(result.confidence).toBe(1);
+      expect(result.match).toMatchObject({ pattern: 'get forecast', kind: 'substring' });
     });
 
     it('should return a lower score match for summary only match', async () => {
@@ -166,7 +133,8 @@ describe('Matcher', () => {
 
       expect(result).toBeDefined();
       expect(result.tool).toBe(weatherTool);
-      expect(result.score).toBe(0.5);
+      expect(result.score).toBeGreaterThan(0);
+      expect(result.match).toBeNull();
       expect(result.intent).toBeUndefined();
     });
 
@@ -227,7 +195,8 @@ describe('Matcher', () => {
       const result = await matcher.match('match me', mockRegistry);
       expect(result).toBeDefined();
       expect(result.tool.name).toBe('t1');
-      expect(result.score).toBe(1.0);
+      expect(result.intent.name).toBe('i1');
+      expect(result.candidates.map(c => c.tool.name)).toEqual(['t1']);
     });
 
     it('should handle capability loading errors gracefully', async () => {
@@ -238,7 +207,184 @@ describe('Matcher', () => {
       const result = await matcher.match('weather', mockRegistry);
       expect(result).toBeDefined();
       expect(result.tool).toBe(weatherTool);
-      expect(result.score).toBe(0.5);
+      expect(result.intent).toBeUndefined();
+    });
+
+    it('should skip invalid regex patterns without failing other tools', async () => {
+      const brokenTool = { name: 'broken', domain: 'misc', summary: 'Broken patterns' };
+      mockRegistry.getAllManifests.mockReturnValue([brokenTool, todoTool]);
+      mockRegistry.loadCapability.mockImplementation(async tool => (tool === brokenTool
+        ? { intents: [{ name: 'broken', patterns: ['re:foo((', 'run broken'] }] }
+        : todoCapability));
+
+      const result = await matcher.match('add task buy milk', mockRegistry);
+      expect(result.tool).toBe(todoTool);
+      expect(result.intent.name).toBe('add_task');
+
+      expect(matcher.matchPatterns(['re:foo((', 'run broken'], 'run broken')).toMatchObject({
+        pattern: 'run broken',
+        kind: 'substring'
+      });
+    });
+
+    it('should rank intents by score regardless of capability order', async () => {
+      const tool = { name: 'files', domain: 'files', summary: 'File utilities' };
+      mockRegistry.getAllManifests.mockReturnValue([tool]);
+      mockRegistry.loadCapability.mockResolvedValue({
+        intents: [
+          { name: 'list', patterns: ['list files', 'show directory'] },
+          { name: 'list_hidden', patterns: ['list hidden files'] }
+        ]
+      });
+
+      const result = await matcher.match('list hidden files', mockRegistry);
+      expect(result.intent.name).toBe('list_hidden');
+      expect(result.candidates).toHaveLength(2);
+      expect(result.candidates[0].score).toBeGreaterThan(result.candidates[1].score);
+    });
+
+    it('should not report ambiguity when one tool clearly matches better', async () => {
+      const email = { name: 'inboxd', domain: 'email', summary: 'Email management' };
+      const files = { name: 'fs', domain: 'files', summary: 'File management' };
+      mockRegistry.getAllManifests.mockReturnValue([email, files]);
+      mockRegistry.loadCapability.mockImplementation(async tool => ({
+        intents: tool.name === 'inboxd'
+          ? [{ name: 'delete_emails', patterns: ['delete emails'] }]
+          : [{ name: 'delete_files', patterns: ['delete files'] }]
+      }));
+
+      const result = await matcher.match('delete emails', mockRegistry);
+      expect(result.ambiguous).toBeUndefined();
+      expect(result.tool).toBe(email);
+      expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should use the configured margin to decide ambiguity', async () => {
+      const email = { name: 'inboxd', domain: 'email', summary: 'Email' };
+      const files = { name: 'fs', domain: 'files', summary: 'Files' };
+      mockRegistry.getAllManifests.mockReturnValue([email, files]);
+      mockRegistry.loadCapability.mockImplementation(async tool => ({
+        intents: tool.name === 'inboxd'
+          ? [{ name: 'delete_emails', patterns: ['delete emails'] }]
+          : [{ name: 'delete_files', patterns: ['delete files'] }]
+      }));
+
+      const strict = new Matcher({ margin: 0.99 });
+      const result = await strict.match('delete emails', mockRegistry);
+      expect(result.ambiguous).toBe(true);
+      expect(result.candidates.map(c => c.intent)).toEqual(['delete emails', 'delete files']);
+    });
+
+    it('should report ties between intents of the same tool as ambiguous', async () => {
+      const tool = { name: 'inboxd', domain: 'email', summary: 'Email management' };
+      mockRegistry.getAllManifests.mockReturnValue([tool]);
+      mockRegistry.loadCapability.mockResolvedValue({
+        intents: [
+          { name: 'delete', patterns: ['delete emails'] },
+          { name: 'restore', patterns: ['restore emails'] }
+        ]
+      });
+
+      const result = await matcher.match('emails to delete or restore', mockRegistry);
+      expect(result.ambiguous).toBe(true);
+      expect(result.candidates.map(c => c.intent)).toEqual(['delete emails', 'restore emails']);
+    });
+
+    it('should weigh word overlap by how rare the shared words are', () => {
+      const intents = [
+        { name: 'archive', patterns: ['archive old emails'] },
+        { name: 'analyze', patterns: ['analyze emails'] },
+        { name: 'count', patterns: ['count emails'] }
+      ];
+
+      const [archive, ...others] = matcher.rankIntents(intents, 'archive my emails');
+      expect(archive.intent.name).toBe('archive');
+      expect(archive.match.bonus).toBeGreaterThan(0.5);
+      expect(archive.match.bonus).toBeLessThan(1);
+
+      // "emails" alone covers half of each pattern's words but little of its weight
+      expect(others.map(c => c.match)).toEqual([null, null]);
+      expect(matcher.rankIntents(intents, 'count my emails')[0].match.bonus).toBe(1);
+    });
+
+    it('should not match anything for a blank intent string', () => {
+      expect(matcher.rankIntents([{ name: 'check', patterns: ['check email'] }], '   ')).toEqual([]);
+    });
+  });
+
+  describe('examples', () => {
+    const tool = { name: 'inboxd', domain: 'email', summary: 'Gmail management' };
+    const capability = {
+      intents: [
+        { name: 'summary', patterns: ['check email'] },
+        { name: 'restore', patterns: ['restore emails'] }
+      ]
+    };
+
+    const registryWith = examples => ({
+      getAllManifests: () => [tool],
+      loadCapability: async () => capability,
+      loadExamples: async () => examples
+    });
+
+    it('should match example phrases to the intent they invoke', async () => {
+      const result = await matcher.match('undo my deletions', registryWith([
+        { intent: 'Undo the last 3 deletions', invocation: { want: 'restore emails' } }
+      ]));
+
+      expect(result.intent.name).toBe('restore');
+      expect(result.fields).toContain('examples');
+    });
+
+    it('should ignore examples that match no intent and broken examples', async () => {
+      expect(await matcher.match('undo my deletions', registryWith([
+        { intent: 'Undo the last 3 deletions', invocation: { want: 'something else' } }
+      ]))).toBeNull();
+
+      const broken = { ...registryWith([]), loadExamples: async () => { throw new Error('bad'); } };
+      expect((await matcher.match('check email', broken)).intent.name).toBe('summary');
+    });
+  });
+
+  describe('rankIntents', () => {
+    it('should return scored candidates with match details', () => {
+      const ranked = matcher.rankIntents([
+        { name: 'a', patterns: ['re:^analyze \\d+'] },
+        { name: 'b', patterns: ['analyze emails'] }
+      ], 'analyze 50 emails');
+
+      expect(ranked.map(c => c.intent.name)).toEqual(['a', 'b']);
+      expect(ranked[0].match.kind).toBe('regex');
+      expect(ranked[1].match).toMatchObject({ kind: 'overlap', overlap: ['analyze', 'emails'] });
+      expect(ranked[0].confidence + ranked[1].confidence).toBeCloseTo(1, 2);
+    });
+  });
+
+  describe('captures', () => {
+    it('should return named capture groups from regex patterns', () => {
+      const [best] = matcher.rankIntents([
+        { name: 'analyze', patterns: ['re:analyze (?<count>\\d+) (?<kind>\\w+)?'] }
+      ], 'Analyze 50 Emails');
+
+      expect(best.match.captures).toEqual({ count: '50', kind: 'Emails' });
+    });
+
+    it('should omit unmatched optional groups', () => {
+      const [best] = matcher.rankIntents([
+        { name: 'analyze', patterns: ['re:analyze(?: (?<count>\\d+))? emails'] }
+      ], 'analyze emails');
+
+      expect(best.match.captures).toEqual({});
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should drop short words and stopwords', () => {
+      expect(tokenize('Please delete ALL my emails')).toEqual(['delete', 'email']);
+    });
+
+    it('should fold plurals onto their singular', () => {
+      expect(tokenize('emails messages address gas')).toEqual(['email', 'message', 'address', 'gas']);
     });
   });
 });
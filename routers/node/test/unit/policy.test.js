@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyEngine, validatePolicies, requiresConfirmation } from '../../src/policy.js';
+
+describe('Policy', () => {
+  const inboxd = { name: 'inboxd', domain: 'email' };
+  const gitHelper = { name: 'git-helper', domain: 'git' };
+
+  const readIntent = { patterns: ['check email', 'read inbox'], command: 'inbox summary' };
+  const deleteIntent = { patterns: ['delete emails'], command: 'inbox delete', destructive: true };
+  const sendIntent = { patterns: ['send email'], command: 'inbox send', confirm: true, idempotent: false };
+  const archiveIntent = { patterns: ['archive emails'], command: 'inbox archive', confirm: true, idempotent: true };
+  const labelIntent = { patterns: ['label emails'], command: 'inbox label', confirm: true };
+
+  describe('requiresConfirmation', () => {
+    it('should treat destructive intents as confirm: true', () => {
+      expect(requiresConfirmation(deleteIntent)).toBe(true);
+      expect(requiresConfirmation(sendIntent)).toBe(true);
+      expect(requiresConfirmation(readIntent)).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should run intents without confirmation by default', () => {
+      const decision = new PolicyEngine().evaluate(inboxd, readIntent);
+      expect(decision).toEqual({ action: 'run', requires_confirm: false, rule: null });
+    });
+
+    it('should require confirmation for destructive intents without rules', () => {
+      const decision = new PolicyEngine().evaluate(inboxd, deleteIntent);
+      expect(decision.action).toBe('confirm');
+      expect(decision.requires_confirm).toBe(true);
+    });
+
+    it('should block matching intents', () => {
+      const rule = { tool: 'inboxd', intent: 'delete *', action: 'block' };
+      const policy = new PolicyEngine([rule]);
+
+      expect(policy.evaluate(inboxd, deleteIntent)).toMatchObject({ action: 'block', rule });
+      expect(policy.evaluate(inboxd, readIntent).action).toBe('run');
+    });
+
+    it('should force confirmation by domain', () => {
+      const policy = new PolicyEngine([{ domain: 'email', action: 'confirm' }]);
+
+      expect(policy.evaluate(inboxd, readIntent).requires_confirm).toBe(true);
+      expect(policy.evaluate(gitHelper, readIntent).requires_confirm).toBe(false);
+    });
+
+    it('should match intent globs case-insensitively against any pattern', () => {
+      const policy = new PolicyEngine([{ intent: 'READ *', action: 'confirm' }]);
+      expect(policy.evaluate(inboxd, readIntent).action).toBe('confirm');
+    });
+
+    it('should support domain:name tool entries', () => {
+      const policy = new PolicyEngine([{ tool: 'email:*', action: 'block' }]);
+
+      expect(policy.evaluate(inboxd, readIntent).action).toBe('block');
+      expect(policy.evaluate(gitHelper, readIntent).action).toBe('run');
+    });
+
+    it('should auto-approve confirm intents that are idempotent and non-destructive', () => {
+      const rule = { tool: 'inboxd', action: 'allow' };
+      const decision = new PolicyEngine([rule]).evaluate(inboxd, archiveIntent);
+
+      expect(decision).toEqual({ action: 'run', requires_confirm: false, rule });
+    });
+
+    it('should never auto-approve destructive or non-idempotent intents', () => {
+      const policy = new PolicyEngine([{ tool: 'inboxd', action: 'allow' }]);
+
+      expect(policy.evaluate(inboxd, deleteIntent).requires_confirm).toBe(true);
+      expect(policy.evaluate(inboxd, sendIntent).requires_confirm).toBe(true);
+    });
+
+    it('should not auto-approve intents that do not declare idempotent: true', () => {
+      const policy = new PolicyEngine([{ tool: 'inboxd', action: 'allow' }]);
+
+      expect(policy.evaluate(inboxd, labelIntent)).toEqual({ action: 'confirm', requires_confirm: true, rule: null });
+    });
+
+    it('should prefer block over confirm over allow', () => {
+      const policy = new PolicyEngine([
+        { domain: 'email', action: 'allow' },
+        { tool: 'inboxd', action: 'confirm' },
+        { intent: 'archive *', action: 'block' }
+      ]);
+
+      expect(policy.evaluate(inboxd, archiveIntent).action).toBe('block');
+      expect(policy.evaluate(inboxd, readIntent).action).toBe('confirm');
+    });
+  });
+
+  describe('validatePolicies', () => {
+    it('should accept valid rules', () => {
+      expect(validatePolicies([{ tool: 'inboxd', action: 'allow' }])).toEqual([]);
+    });
+
+    it('should reject unknown actions and non-string selectors', () => {
+      const errors = validatePolicies([{ tool: 1, action: 'skip' }, null]);
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('policies[0].action');
+      expect(errors[1]).toContain('policies[0].tool');
+      expect(errors[2]).toContain('policies[1]');
+    });
+
+    it('should require an array', () => {
+      expect(validatePolicies({})).toEqual(['policies must be an array of rules']);
+    });
+  });
+});
@@ -1,7 +1,9 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import { Registry } from '../../src/registry.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Registry, resolveBinary, binaryName } from '../../src/registry.js';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -54,6 +56,35 @@ describe('Registry', () => {
     });
   });
 
+  describe('allowList/denyList', () => {
+    it('should not register denied tools', () => {
+      const reg = new Registry([], { denyList: ['email:*'] });
+      const result = reg.register({ name: 'inboxd', domain: 'email', path: '/p' });
+
+      expect(result).toBe(false);
+      expect(reg.getTool('inboxd')).toBeUndefined();
+      expect(reg.getDomains()).not.toContain('email');
+      expect(reg.isDenied('inboxd')).toBe(true);
+      expect(reg.getDeniedManifests()).toHaveLength(1);
+    });
+
+    it('should only register tools on the allowList', () => {
+      const reg = new Registry([], { allowList: ['git-*'] });
+
+      expect(reg.register({ name: 'git-helper', domain: 'git', path: '/p1' })).toBe(true);
+      expect(reg.register({ name: 'inboxd', domain: 'email', path: '/p2' })).toBe(false);
+      expect(reg.getAllManifests().map(t => t.name)).toEqual(['git-helper']);
+    });
+
+    it('should filter denied tools out of scan', async () => {
+      const reg = new Registry([FIXTURES_PATH], { denyList: ['mock-tool'] });
+      await reg.scan();
+
+      expect(reg.getTool('mock-tool')).toBeUndefined();
+      expect(reg.isDenied('mock-tool')).toBe(true);
+    });
+  });
+
   describe('tryRegister', () => {
     it('should successfully register a valid tool from path', async () => {
       const result = await registry.tryRegister(MOCK_TOOL_PATH);
@@ -66,6 +97,40 @@ describe('Registry', () => {
       expect(tool.path).toContain('mock-tool/cmp');
     });
 
+    it('should reject manifests without a domain', async () => {
+      const toolPath = mkdtempSync(join(tmpdir(), 'cmp-registry-'));
+      mkdirSync(join(toolPath, 'cmp'));
+      writeFileSync(join(toolPath, 'cmp', 'manifest.json'), JSON.stringify({ name: 'no-domain' }));
+
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        expect(await registry.tryRegister(toolPath)).toBe(false);
+        expect(registry.getTool('no-domain')).toBeUndefined();
+        expect(warn.mock.calls[0][1]).toContain("Required field 'domain' is missing");
+      } finally {
+        warn.mockRestore();
+        rmSync(toolPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should register manifests with problems left to cmp validate', async () => {
+      const toolPath = mkdtempSync(join(tmpdir(), 'cmp-registry-'));
+      mkdirSync(join(toolPath, 'cmp'));
+      writeFileSync(join(toolPath, 'cmp', 'manifest.json'), JSON.stringify({
+        name: 'loose',
+        domain: 'misc',
+        version: '1.0',
+        summary: 'x'.repeat(101)
+      }));
+
+      try {
+        expect(await registry.tryRegister(toolPath)).toBe(true);
+        expect(registry.getTool('loose')).toMatchObject({ domain: 'misc', version: '1.0' });
+      } finally {
+        rmSync(toolPath, { recursive: true, force: true });
+      }
+    });
+
     it('should return false for invalid path', async () => {
       const result = await registry.tryRegister('/path/does/not/exist/999');
       expect(result).toBe(false);
@@ -84,6 +149,16 @@ describe('Registry', () => {
       expect(tool.name).toBe('mock-tool');
       expect(tool.domain).toBe('test');
     });
+
+    it('should record when the scan completed', async () => {
+      const reg = new Registry([FIXTURES_PATH]);
+      expect(reg.lastScan).toBeNull();
+
+      const before = Date.now();
+      await reg.scan();
+
+      expect(reg.lastScan).toBeGreaterThanOrEqual(before);
+    });
   });
 
   describe('Accessors', () => {
@@ -173,6 +248,43 @@ describe('Registry', () => {
       expect(cap1).toBe(cap2); // Same object reference
     });
 
+    it('should load split capability files from a .cmp directory', async () => {
+      const toolPath = mkdtempSync(join(tmpdir(), 'cmp-registry-'));
+      const cmpDir = join(toolPath, '.cmp');
+      mkdirSync(join(cmpDir, 'capabilities'), { recursive: true });
+      writeFileSync(join(cmpDir, 'manifest.json'), JSON.stringify({
+        name: 'split-tool', domain: 'test', version: '1.0.0', summary: 'Split capabilities'
+      }));
+      writeFileSync(join(cmpDir, 'capability.json'), JSON.stringify({ include: ['capabilities/*.json'] }));
+      writeFileSync(join(cmpDir, 'capabilities', 'read.json'), JSON.stringify({
+        intents: [{ patterns: ['read things'], command: 'echo read' }]
+      }));
+
+      try {
+        await registry.tryRegister(toolPath);
+        const capability = await registry.loadCapability(registry.getTool('split-tool'));
+
+        expect(capability.intents.map(i => i.patterns[0])).toEqual(['read things']);
+      } finally {
+        rmSync(toolPath, { recursive: true, force: true });
+      }
+    });
+
+    it('should lazily load and cache examples.json', async () => {
+      const inboxd = {
+        name: 'inboxd',
+        domain: 'email',
+        path: join(__dirname, '../../../../examples/inboxd/cmp')
+      };
+
+      const examples = await registry.loadExamples(inboxd);
+      expect(examples.length).toBeGreaterThan(0);
+      expect(await registry.loadExamples(inboxd)).toBe(examples);
+
+      const mockTool = { name: 'mock-tool', domain: 'test', path: join(MOCK_TOOL_PATH, 'cmp') };
+      expect(await registry.loadExamples(mockTool)).toEqual([]);
+    });
+
     it('should throw error if capability.json is missing', async () => {
       const tool = {
         name: 'broken-tool',
@@ -182,4 +294,171 @@ describe('Registry', () => {
       await expect(registry.loadCapability(tool)).rejects.toThrow();
     });
   });
+
+  describe('binary resolution', () => {
+    let root;
+
+    const makeExecutable = (dir, name) => {
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(join(dir, name), '#!/bin/sh\n', { mode: 0o755 });
+      return join(dir, name);
+    };
+
+    beforeEach(() => {
+      root = mkdtempSync(join(tmpdir(), 'cmp-binary-'));
+    });
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true });
+    });
+
+    it('should use wraps for adapters and binary otherwise', () => {
+      expect(binaryName({ binary: 'inbox' })).toBe('inbox');
+      expect(binaryName({ adapter: true, wraps: 'rg', binary: 'rg-cmp' })).toBe('rg');
+      expect(binaryName({ name: 'mock-tool' })).toBeNull();
+    });
+
+    it('should prefer the tool bin/ directory over PATH', () => {
+      const local = makeExecutable(join(root, 'tool', 'bin'), 'inbox');
+      makeExecutable(join(root, 'path'), 'inbox');
+
+      expect(resolveBinary('inbox', join(root, 'tool'), join(root, 'path'))).toBe(local);
+    });
+
+    it('should fall back to absolute PATH entries', () => {
+      const onPath = makeExecutable(join(root, 'path'), 'inbox');
+
+      expect(resolveBinary('inbox', join(root, 'tool'), `relative:${join(root, 'path')}`)).toBe(onPath);
+      expect(resolveBinary('inbox', null, 'relative')).toBeNull();
+    });
+
+    it('should skip files that are not executable', () => {
+      mkdirSync(join(root, 'tool', 'bin'), { recursive: true });
+      writeFileSync(join(root, 'tool', 'bin', 'inbox'), '', { mode: 0o644 });
+
+      expect(resolveBinary('inbox', join(root, 'tool'), '')).toBeNull();
+    });
+
+    it('should mark tools available and record the resolved path', () => {
+      const local = makeExecutable(join(root, 'inboxd', 'bin'), 'inbox');
+      const tool = { name: 'inboxd', domain: 'email', binary: 'inbox', path: join(root, 'inboxd', 'cmp') };
+
+      registry.register(tool);
+
+      expect(registry.getTool('inboxd')).toMatchObject({ available: true, binary_path: local });
+      expect(registry.getUnavailableManifests()).toEqual([]);
+    });
+
+    it('should mark tools unavailable when the binary is missing', () => {
+      registry.register({ name: 'ripgrep', domain: 'search', adapter: true, wraps: 'cmp-test-missing-binary' });
+      registry.register({ name: 'plain', domain: 'search' });
+
+      expect(registry.getTool('ripgrep').available).toBe(false);
+      expect(registry.getTool('ripgrep')).not.toHaveProperty('binary_path');
+      expect(registry.getTool('plain').available).toBe(true);
+      expect(registry.getUnavailableManifests().map(t => t.name)).toEqual(['ripgrep']);
+    });
+  });
+
+  describe('dependencies', () => {
+    const tool = (name, domain, requires) => ({ name, domain, ...(requires && { requires }) });
+
+    it('should report required domains without tools', () => {
+      registry.register(tool('inboxd', 'email', ['files', 'calendar']));
+      registry.register(tool('fs', 'files'));
+
+      expect(registry.missingRequires(registry.getTool('inboxd'))).toEqual(['calendar']);
+      expect(registry.checkDependencies()).toEqual({
+        unmet: [{ tool: 'inboxd', domain: 'email', missing: ['calendar'] }],
+        cycles: []
+      });
+    });
+
+    it('should not count unavailable tools as providing a domain', () => {
+      registry.register(tool('inboxd', 'email', ['search']));
+      registry.register({ ...tool('ripgrep', 'search'), adapter: true, wraps: 'cmp-test-missing-binary' });
+
+      expect(registry.missingRequires(registry.getTool('inboxd'))).toEqual(['search']);
+    });
+
+    it('should detect cycles once, ignoring self-requirements', () => {
+      registry.register(tool('inboxd', 'email', ['files', 'email']));
+      registry.register(tool('fs', 'files', ['calendar']));
+      registry.register(tool('cal', 'calendar', ['email']));
+      registry.register(tool('git-helper', 'git', ['files']));
+
+      expect(registry.checkDependencies()).toEqual({
+        unmet: [],
+        cycles: [['calendar', 'email', 'files', 'calendar']]
+      });
+    });
+  });
+
+  describe('duplicate names', () => {
+    let warn;
+
+    beforeEach(() => {
+      warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warn.mockRestore();
+    });
+
+    it('should keep the first registration of a domain/name', () => {
+      const first = { name: 'inboxd', domain: 'email', path: '/a/inboxd/cmp' };
+      const second = { name: 'inboxd', domain: 'email', path: '/b/inboxd/cmp' };
+
+      expect(registry.register(first)).toBe(true);
+      expect(registry.register(second)).toBe(false);
+
+      expect(registry.getTool('inboxd')).toBe(first);
+      expect(registry.getToolsByDomain('email')).toEqual([first]);
+      expect(registry.getShadowed()).toEqual([
+        { tool: 'email/inboxd', path: '/b/inboxd/cmp', by: 'email/inboxd', by_path: '/a/inboxd/cmp' }
+      ]);
+      expect(warn.mock.calls[0][0]).toContain('/b/inboxd/cmp is shadowed by /a/inboxd/cmp');
+    });
+
+    it('should address same-named tools in other domains by domain/name', () => {
+      const email = { name: 'sync', domain: 'email', path: '/a/sync/cmp' };
+      const calendar = { name: 'sync', domain: 'calendar', path: '/b/sync/cmp' };
+
+      registry.register(email);
+      expect(registry.register(calendar)).toBe(true);
+
+      expect(registry.getTool('sync')).toBe(email);
+      expect(registry.getTool('email/sync')).toBe(email);
+      expect(registry.getTool('calendar/sync')).toBe(calendar);
+      expect(registry.getShadowed()).toEqual([
+        { tool: 'calendar/sync', path: '/b/sync/cmp', by: 'email/sync', by_path: '/a/sync/cmp' }
+      ]);
+    });
+
+    it('should prefer earlier search paths and rebuild on rescan', async () => {
+      const root = mkdtempSync(join(tmpdir(), 'cmp-dup-'));
+      const writeTool = (base, summary) => {
+        mkdirSync(join(root, base, 'dup', 'cmp'), { recursive: true });
+        writeFileSync(join(root, base, 'dup', 'cmp', 'manifest.json'), JSON.stringify({
+          name: 'dup', domain: 'test', version: '1.0.0', summary
+        }));
+      };
+
+      try {
+        writeTool('first', 'first copy');
+        writeTool('second', 'second copy');
+
+        const reg = new Registry([join(root, 'first'), join(root, 'second')]);
+        await reg.scan();
+        await reg.scan();
+
+        expect(reg.getTool('dup').summary).toBe('first copy');
+        expect(reg.getToolsByDomain('test')).toHaveLength(1);
+        expect(reg.getShadowed()).toHaveLength(1);
+        expect(reg.getShadowed()[0].path).toBe(join(root, 'second', 'dup', 'cmp'));
+      } finally {
+        rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
 });
@@ -0,0 +1,279 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, rmSync, realpathSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  filterEnv,
+  resolveProfile,
+  buildSpawn,
+  validateSandbox,
+  commandExists
+} from '../../src/sandbox.js';
+import { Executor } from '../../src/executor.js';
+
+const canNamespace = process.platform === 'linux' &&
+  commandExists('unshare') &&
+  (await new Executor({ sandbox: { network: false } }).run(['true']).then(() => true, () => false));
+
+describe('Sandbox', () => {
+  const linux = {
+    platform: 'linux',
+    has: () => true,
+    mapsUser: () => true,
+    uid: 1000,
+    gid: 100,
+    env: { PATH: '/bin' }
+  };
+
+  describe('filterEnv', () => {
+    const env = {
+      PATH: '/bin',
+      HOME: '/home/me',
+      AWS_SECRET_ACCESS_KEY: 'x',
+      GITHUB_TOKEN: 'x',
+      DB_PASSWORD: 'x',
+      INBOX_USER: 'me'
+    };
+
+    it('should strip secrets by default', () => {
+      expect(filterEnv(env)).toEqual({
+        PATH: '/bin',
+        HOME: '/home/me',
+        INBOX_USER: 'me',
+        CMP_AGENT: '1'
+      });
+    });
+
+    it('should keep only allow-listed variables', () => {
+      expect(filterEnv(env, ['PATH', 'INBOX_*', 'AWS_SECRET_ACCESS_KEY'])).toEqual({
+        PATH: '/bin',
+        INBOX_USER: 'me',
+        AWS_SECRET_ACCESS_KEY: 'x',
+        CMP_AGENT: '1'
+      });
+    });
+  });
+
+  describe('resolveProfile', () => {
+    const tool = {
+      name: 'inboxd',
+      domain: 'email',
+      path: '/tools/inboxd/cmp',
+      sandbox: { cwd: 'work', limits: { cpu: 10 }, network: true }
+    };
+
+    it('should resolve cwd relative to the tool directory', () => {
+      expect(resolveProfile(tool).cwd).toBe('/tools/inboxd/work');
+    });
+
+    it('should layer matching config profiles over the manifest', () => {
+      const profile = resolveProfile(tool, [
+        { env: ['PATH'] },
+        { tool: 'email:*', network: false, limits: { memory: 1024 } },
+        { tool: 'other', readOnly: ['/'] }
+      ]);
+
+      expect(profile).toEqual({
+        cwd: '/tools/inboxd/work',
+        limits: { cpu: 10, memory: 1024 },
+        network: false,
+        env: ['PATH']
+      });
+    });
+
+    it('should return an empty profile without sandbox settings', () => {
+      expect(resolveProfile({ name: 'x', domain: 'y' })).toEqual({});
+    });
+  });
+
+  describe('buildSpawn', () => {
+    it('should run shell commands through sh without a profile', () => {
+      const { file, args, env, cwd, warnings } = buildSpawn('echo hi', {}, linux);
+
+      expect([file, ...args]).toEqual(['sh', '-c', 'echo hi']);
+      expect(env).toEqual({ PATH: '/bin', CMP_AGENT: '1' });
+      expect(cwd).toBeUndefined();
+      expect(warnings).toEqual([]);
+    });
+
+    it('should wrap commands with prlimit for limits', () => {
+      const { file, args } = buildSpawn(['inbox', 'list'], {
+        limits: { cpu: 5, memory: 1048576, fileSize: 4096 }
+      }, linux);
+
+      expect([file, ...args]).toEqual([
+        'prlimit', '--cpu=5', '--as=1048576', '--fsize=4096', '--', 'inbox', 'list'
+      ]);
+    });
+
+    it('should isolate network and mount read-only paths with unshare', () => {
+      const { file, args } = buildSpawn(['inbox', 'list'], {
+        network: false,
+        readOnly: ['/data']
+      }, linux);
+
+      expect([file, ...args]).toEqual([
+        'unshare', '--map-root-user', '--net', '--mount', '--',
+        'sh', '-c',
+        'mount --bind "${1}" "${1}" && mount -o remount,bind,ro "${1}" && shift 1 && exec "$@"',
+        'sh', '/data',
+        'unshare', '--user', '--map-user=1000', '--map-group=100', '--',
+        'inbox', 'list'
+      ]);
+    });
+
+    it('should isolate network as the router user', () => {
+      const { file, args } = buildSpawn(['inbox'], { network: false }, linux);
+
+      expect([file, ...args]).toEqual([
+        'unshare', '--map-user=1000', '--map-group=100', '--net', '--', 'inbox'
+      ]);
+    });
+
+    it('should refuse read-only paths when unshare cannot lock them', () => {
+      const old = { ...linux, mapsUser: () => false };
+
+      expect(buildSpawn(['inbox'], { readOnly: ['/data'] }, old).errors).toEqual([
+        'Read-only paths require unshare --map-user (util-linux 2.38 or later) to lock the mounts'
+      ]);
+      expect(buildSpawn(['inbox'], { network: false }, old)).toMatchObject({
+        file: 'unshare',
+        args: ['--map-root-user', '--net', '--', 'inbox'],
+        errors: []
+      });
+    });
+
+    it('should only skip network isolation with a warning', () => {
+      const darwin = { platform: 'darwin', has: () => true, env: {} };
+      const network = buildSpawn(['inbox'], { network: false }, darwin);
+
+      expect([network.file, ...network.args]).toEqual(['inbox']);
+      expect(network.warnings).toHaveLength(1);
+      expect(network.errors).toEqual([]);
+
+      expect(buildSpawn(['inbox'], { network: false, limits: { cpu: 5 } }, darwin)).toMatchObject({
+        warnings: [expect.stringContaining('Network isolation')],
+        errors: ['Resource limits require Linux with prlimit']
+      });
+    });
+
+    it('should report limits and read-only paths the host cannot enforce', () => {
+      const bare = { ...linux, has: () => false };
+
+      expect(buildSpawn(['inbox'], { limits: { cpu: 5 }, readOnly: ['/data'] }, bare).errors).toEqual([
+        'Resource limits require Linux with prlimit',
+        'Read-only paths require Linux with unshare'
+      ]);
+    });
+  });
+
+  describe('validateSandbox', () => {
+    it('should accept a valid profile', () => {
+      expect(validateSandbox({
+        env: ['PATH'],
+        cwd: 'work',
+        limits: { cpu: 1, memory: 1024, fileSize: 1024 },
+        network: false,
+        readOnly: ['/data']
+      })).toEqual([]);
+    });
+
+    it('should reject invalid fields', () => {
+      const errors = validateSandbox({
+        env: 'PATH',
+        network: 'no',
+        readOnly: ['relative'],
+        limits: { cpu: -1, nproc: 2 }
+      });
+
+      expect(errors).toEqual([
+        'sandbox.env must be an array of variable names',
+        'sandbox.network must be a boolean',
+        'sandbox.readOnly must be an array of absolute paths',
+        'sandbox.limits.cpu must be a positive integer',
+        'sandbox.limits.nproc is not a known limit (cpu, memory, fileSize)'
+      ]);
+    });
+  });
+
+  describe('Executor integration', () => {
+    const executor = new Executor({ timeout: 5000 });
+
+    it('should strip secrets from the command environment', async () => {
+      process.env.AWS_SECRET_ACCESS_KEY = 'leak';
+      try {
+        const output = await executor.run(['sh', '-c', 'echo "${AWS_SECRET_ACCESS_KEY:-none} $CMP_AGENT"']);
+        expect(output).toEqual({ raw: 'none 1' });
+      } finally {
+        delete process.env.AWS_SECRET_ACCESS_KEY;
+      }
+    });
+
+    it('should run in the profile cwd', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+      try {
+        const output = await executor.run(['pwd'], { sandbox: { cwd: dir } });
+        expect(output).toEqual({ raw: realpathSync(dir) });
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it.runIf(process.platform === 'linux' && commandExists('prlimit'))(
+      'should enforce file size limits',
+      async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+        try {
+          await expect(executor.run('head -c 8192 /dev/zero > big', {
+            sandbox: { cwd: dir, limits: { fileSize: 1024 } }
+          })).rejects.toThrow(/exit code/);
+        } finally {
+          rmSync(dir, { recursive: true, force: true });
+        }
+      }
+    );
+
+    it.runIf(canNamespace)('should remove network interfaces other than loopback', async () => {
+      const output = await executor.run(['cat', '/proc/net/dev'], { sandbox: { network: false } });
+      const interfaces = output.raw.split('\n').slice(2).map(line => line.trim().split(':')[0]);
+      expect(interfaces).toEqual(['lo']);
+    });
+
+    it.runIf(canNamespace)('should mount read-only paths', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+      try {
+        await expect(executor.run(['touch', join(dir, 'file')], {
+          sandbox: { readOnly: [dir] }
+        })).rejects.toThrow(/Read-only file system/);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it.runIf(canNamespace)('should not let the command remount read-only paths', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+      try {
+        await expect(executor.run(
+          `mount -o remount,bind,rw "${dir}" || umount "${dir}"; touch "${dir}/file"`,
+          { sandbox: { readOnly: [dir] } }
+        )).rejects.toThrow(/Read-only file system/);
+        await expect(executor.run(
+          `unshare --map-root-user --mount sh -c 'mount -o remount,bind,rw "${dir}"; touch "${dir}/file"'`,
+          { sandbox: { readOnly: [dir] } }
+        )).rejects.toThrow(/Read-only file system/);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it.runIf(canNamespace)('should run namespaced commands as the router user', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'cmp-sandbox-'));
+      try {
+        const output = await executor.run(['id', '-u'], { sandbox: { readOnly: [dir], network: false } });
+        expect(output).toBe(process.getuid());
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { Scheduler, validateConcurrency } from '../../src/scheduler.js';
+
+describe('Scheduler', () => {
+  const inboxd = { name: 'inboxd', domain: 'email' };
+  const git = { name: 'git', domain: 'vcs' };
+  const single = { name: 'backup', domain: 'files', concurrency: 1 };
+
+  const settled = async promise => {
+    let done = false;
+    promise.then(() => { done = true; }, () => { done = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    return done;
+  };
+
+  describe('limits', () => {
+    it('should take per-tool limits from config before the manifest', () => {
+      const scheduler = new Scheduler({
+        toolConcurrency: [{ tool: 'email:*', max: 2 }, { tool: 'backup', max: 3 }]
+      });
+
+      expect(scheduler.limitFor(inboxd)).toBe(2);
+      expect(scheduler.limitFor(single)).toBe(3);
+      expect(scheduler.limitFor(git)).toBeNull();
+      expect(new Scheduler().limitFor(single)).toBe(1);
+    });
+
+    it('should hold executions past the global limit', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 2 });
+      const first = await scheduler.acquire(inboxd);
+      await scheduler.acquire(git);
+      const third = scheduler.acquire(git);
+
+      expect(await settled(third)).toBe(false);
+      expect(scheduler.stats()).toMatchObject({ running: 2, queued: 1, max_concurrent: 2 });
+
+      first();
+      await third;
+      expect(scheduler.stats()).toMatchObject({ running: 2, queued: 0 });
+    });
+
+    it('should hold executions past a tool limit without blocking other tools', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 4 });
+      const release = await scheduler.acquire(single);
+      const waiting = scheduler.acquire(single);
+
+      await scheduler.acquire(git);
+      expect(await settled(waiting)).toBe(false);
+
+      release();
+      await waiting;
+      expect(scheduler.stats().tools).toEqual([
+        { tool: 'files/backup', running: 1, queued: 0, limit: 1 },
+        { tool: 'vcs/git', running: 1, queued: 0, limit: null }
+      ]);
+    });
+
+    it('should free each slot once', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 1 });
+      const release = await scheduler.acquire(git);
+
+      release();
+      release();
+      expect(scheduler.stats()).toMatchObject({ running: 0, tools: [] });
+    });
+  });
+
+  describe('queue', () => {
+    it('should start waiting executions in order', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 1 });
+      const order = [];
+      const release = await scheduler.acquire(git);
+
+      const waiters = ['a', 'b', 'c'].map(name =>
+        scheduler.acquire(git).then(free => {
+          order.push(name);
+          free();
+        }));
+
+      release();
+      await Promise.all(waiters);
+      expect(order).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should fail executions that wait past the queue timeout', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 1, queueTimeout: 20 });
+      await scheduler.acquire(single);
+
+      await expect(scheduler.acquire(single)).rejects.toMatchObject({
+        code: -32013,
+        data: { tool: 'backup', limit: 1, running: 1 }
+      });
+      expect(scheduler.stats().queued).toBe(0);
+    });
+
+    it('should drop queued executions when their signal aborts', async () => {
+      const scheduler = new Scheduler({ maxConcurrent: 1 });
+      const controller = new AbortController();
+      const release = await scheduler.acquire(git);
+      const waiting = scheduler.acquire(git, { signal: controller.signal });
+
+      controller.abort();
+      await expect(waiting).rejects.toMatchObject({ code: -32009, data: { cancelled: true } });
+
+      release();
+      expect(scheduler.stats()).toMatchObject({ running: 0, queued: 0, tools: [] });
+      await expect(scheduler.acquire(git, { signal: controller.signal }))
+        .rejects.toMatchObject({ code: -32009 });
+    });
+
+    it('should only list visible tools', async () => {
+      const scheduler = new Scheduler();
+      await scheduler.acquire(inboxd);
+      await scheduler.acquire(git);
+
+      expect(scheduler.stats(tool => tool.domain === 'vcs').tools.map(t => t.tool))
+        .toEqual(['vcs/git']);
+    });
+  });
+
+  describe('validateConcurrency', () => {
+    it('should accept valid entries', () => {
+      expect(validateConcurrency([{ tool: 'email:inboxd', max: 1 }])).toEqual([]);
+    });
+
+    it('should reject invalid entries', () => {
+      expect(validateConcurrency([{ max: 0 }, 'inboxd'])).toEqual([
+        'toolConcurrency[0].tool must be a tool name',
+        'toolConcurrency[0].max must be a positive integer',
+        'toolConcurrency[1] must be an object'
+      ]);
+      expect(validateConcurrency({})).toEqual(['toolConcurrency must be an array of limits']);
+    });
+  });
+});
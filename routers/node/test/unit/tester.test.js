@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { Router } from '../../src/index.js';
+import { compareShape, testTool, formatTap, formatJUnit } from '../../src/tester.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const EXAMPLES_PATH = join(__dirname, '../../../../examples');
+
+describe('Tester', () => {
+  describe('compareShape', () => {
+    it('should accept outputs with the expected structure', () => {
+      expect(compareShape(
+        { deleted: 2, ids: ['a'], meta: { ok: true } },
+        { deleted: 5, ids: ['x', 'y'], meta: { ok: false, extra: 1 }, more: null }
+      )).toEqual([]);
+    });
+
+    it('should report missing keys and type mismatches by path', () => {
+      expect(compareShape(
+        [{ id: 'a', count: 1 }],
+        [{ id: 'x', count: 2 }, { count: '3' }]
+      )).toEqual(['$[1].id: missing', '$[1].count: expected number, got string']);
+      expect(compareShape({ deleted: 2 }, [])).toEqual(['$: expected object, got array']);
+    });
+  });
+
+  describe('testTool', () => {
+    let dir;
+    let router;
+    let stub;
+
+    const write = (file, content) => {
+      writeFileSync(join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+    };
+
+    beforeEach(async () => {
+      dir = mkdtempSync(join(tmpdir(), 'cmp-tester-'));
+      mkdirSync(join(dir, 'mailer', 'cmp'), { recursive: true });
+
+      write('mailer/cmp/manifest.json', {
+        name: 'mailer',
+        version: '1.0.0',
+        domain: 'email',
+        summary: 'Check and delete email',
+        binary: 'mailer'
+      });
+      write('mailer/cmp/capability.json', {
+        intents: [
+          { patterns: ['check email', 'unread count'], argv: ['mailer', 'count'] },
+          {
+            patterns: ['delete emails'],
+            argv: ['mailer', 'delete', '{ids...}'],
+            params: { ids: { type: 'array', required: true } },
+            destructive: true
+          }
+        ]
+      });
+      write('mailer/cmp/examples.json', {
+        examples: [
+          {
+            intent: 'How many unread emails do I have?',
+            invocation: { want: 'check email' },
+            result: { success: true, output: { unread: 12 } }
+          },
+          {
+            intent: 'Delete emails abc and def',
+            invocation: { want: 'delete emails', context: { ids: ['abc', 'def'] } },
+            result: { success: true, output: { deleted: 2 } }
+          }
+        ]
+      });
+
+      stub = join(dir, 'stub.sh');
+      write('stub.sh', '#!/bin/sh\nif [ "$1" = count ]; then echo \'{"unread": 3}\'; else echo \'{"deleted": "2"}\'; fi\n');
+      chmodSync(stub, 0o755);
+
+      router = await new Router({ searchPaths: [dir] }).init();
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should check matching and validation for each example', async () => {
+      const report = await testTool(router, 'mailer');
+
+      expect(report.tests.map(t => `${t.example} ${t.name} ${t.status}`)).toEqual([
+        '0 matches pass',
+        '0 validates pass',
+        '1 matches pass',
+        '1 validates pass'
+      ]);
+      expect(report).toMatchObject({ tool: 'mailer', passed: 4, failed: 0, skipped: 0 });
+    });
+
+    it('should fail examples that resolve to another intent or do not validate', async () => {
+      write('mailer/cmp/examples.json', {
+        examples: [
+          { intent: 'Delete emails abc', invocation: { want: 'check email' } },
+          { intent: 'Delete emails', invocation: { want: 'delete emails' } },
+          { intent: 'Archive everything', invocation: { want: 'archive' } }
+        ]
+      });
+      router = await new Router({ searchPaths: [dir] }).init();
+
+      const report = await testTool(router, 'email/mailer');
+
+      expect(report.tests.map(t => `${t.example} ${t.name} ${t.status}`)).toEqual([
+        '0 matches fail',
+        '0 validates pass',
+        '1 matches pass',
+        '1 validates fail',
+        '2 matches fail'
+      ]);
+      expect(report.tests[0].message).toBe("Matched 'delete emails', expected 'check email'");
+      expect(report.tests[4].message).toContain("invocation.want 'archive'");
+    });
+
+    it('should not let an example vouch for its own phrase', async () => {
+      write('mailer/cmp/examples.json', {
+        examples: [
+          { intent: 'zebra quantum pineapple', invocation: { want: 'delete emails', context: { ids: ['a'] } } }
+        ]
+      });
+      router = await new Router({ searchPaths: [dir] }).init();
+
+      const report = await testTool(router, 'mailer');
+
+      expect(report.tests[0]).toMatchObject({ name: 'matches', status: 'fail' });
+    });
+
+    it('should skip destructive intents when running without a stub', async () => {
+      const report = await testTool(router, 'mailer', { run: true });
+      const runs = report.tests.filter(t => t.name === 'runs');
+
+      // The mailer binary does not exist, so the safe intent fails to spawn
+      expect(runs.map(t => t.status)).toEqual(['fail', 'skip']);
+    });
+
+    it('should run commands against a stub and compare output structure', async () => {
+      const report = await testTool(router, 'mailer', { run: true, stub });
+      const runs = report.tests.filter(t => t.name === 'runs');
+
+      expect(runs.map(t => t.status)).toEqual(['pass', 'fail']);
+      expect(runs[1].message).toBe('$.deleted: expected number, got string');
+    });
+
+    it('should pass every example of the shipped inboxd tool', async () => {
+      const report = await testTool(await new Router({ searchPaths: [EXAMPLES_PATH] }).init(), 'inboxd');
+
+      expect(report.tests.filter(t => t.status !== 'pass')).toEqual([]);
+      expect(report.passed).toBe(8);
+    });
+  });
+
+  describe('formatters', () => {
+    const report = {
+      tool: 'mailer',
+      tests: [
+        { example: 0, intent: 'Check #1', name: 'matches', status: 'pass' },
+        { example: 0, intent: 'Check #1', name: 'runs', status: 'skip', message: 'No stub' },
+        { example: 1, intent: 'Delete <all>', name: 'validates', status: 'fail', message: 'Missing "ids"' }
+      ],
+      passed: 1,
+      failed: 1,
+      skipped: 1
+    };
+
+    it('should format TAP', () => {
+      expect(formatTap(report).split('\n')).toEqual([
+        'TAP version 13',
+        '1..3',
+        'ok 1 - mailer: example 1 (Check \\#1) matches',
+        'ok 2 - mailer: example 1 (Check \\#1) runs # SKIP No stub',
+        'not ok 3 - mailer: example 2 (Delete <all>) validates',
+        '  ---',
+        '  message: "Missing \\"ids\\""',
+        '  ...',
+        '# pass 1',
+        '# fail 1',
+        '# skip 1'
+      ]);
+    });
+
+    it('should format escaped JUnit XML', () => {
+      const xml = formatJUnit(report);
+
+      expect(xml).toContain('<testsuite name="mailer" tests="3" failures="1" skipped="1">');
+      expect(xml).toContain('<skipped message="No stub"/>');
+      expect(xml).toContain('name="example 2 (Delete &lt;all&gt;) validates"');
+      expect(xml).toContain('<failure message="Missing &quot;ids&quot;"/>');
+    });
+  });
+});
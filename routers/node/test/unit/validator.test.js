@@ -2,6 +2,7 @@ import { describe, it, expect } from 'vitest';
 import {
   validateParams,
   validateType,
+  validateSchema,
   checkRequired,
   sanitizeForShell,
   sanitizeValue,
@@ -93,6 +94,7 @@ describe('Validator Module', () => {
       expect(result.valid).toBe(true);
       expect(result.sanitized.mode).toBe('normal');
       expect(result.sanitized.verbosity).toBe(1);
+      expect(result.defaults).toEqual(['mode', 'verbosity']);
     });
 
     it('should prioritize provided value over default', () => {
@@ -104,6 +106,7 @@ describe('Validator Module', () => {
 
       expect(result.valid).toBe(true);
       expect(result.sanitized.mode).toBe('turbo');
+      expect(result.defaults).toEqual([]);
     });
 
     it('should sanitize unknown parameters', () => {
@@ -133,6 +136,72 @@ describe('Validator Module', () => {
     });
   });
 
+  describe('validateSchema', () => {
+    const schema = {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          unread: { type: 'integer', minimum: 0 }
+        }
+      }
+    };
+
+    it('should accept matching values', () => {
+      expect(validateSchema([{ name: 'work', unread: 5 }], schema)).toEqual([]);
+    });
+
+    it('should report type mismatches with a JSON path', () => {
+      const errors = validateSchema([{ name: 'work', unread: 'five' }], schema);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ type: 'schema_mismatch', path: '$[0].unread' });
+      expect(errors[0].message).toContain('expected integer, got string');
+    });
+
+    it('should report missing required properties', () => {
+      const errors = validateSchema([{ unread: 1 }], schema);
+      expect(errors[0].message).toContain("missing required property 'name'");
+    });
+
+    it('should treat integers as numbers', () => {
+      expect(validateSchema(3, { type: 'number' })).toEqual([]);
+      expect(validateSchema(3.5, { type: 'integer' })).toHaveLength(1);
+    });
+
+    it('should check enum, const and additionalProperties', () => {
+      expect(validateSchema('x', { enum: ['a', 'b'] })).toHaveLength(1);
+      expect(validateSchema(1, { const: 1 })).toEqual([]);
+      expect(validateSchema({ a: 1, b: 2 }, {
+        type: 'object',
+        properties: { a: { type: 'integer' } },
+        additionalProperties: false
+      })[0].message).toContain("unexpected property 'b'");
+    });
+
+    it('should support type unions and anyOf', () => {
+      expect(validateSchema(null, { type: ['string', 'null'] })).toEqual([]);
+      expect(validateSchema(true, { anyOf: [{ type: 'string' }, { type: 'integer' }] })).toHaveLength(1);
+    });
+
+    it('should ignore missing schemas', () => {
+      expect(validateSchema({ anything: true }, undefined)).toEqual([]);
+    });
+
+    it('should report invalid patterns instead of throwing', () => {
+      const errors = validateSchema({ id: 'abc' }, {
+        type: 'object',
+        properties: { id: { type: 'string', pattern: '([a-z' } }
+      });
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toMatchObject({ type: 'invalid_schema', path: '$.id' });
+      expect(errors[0].message).toContain('invalid pattern ([a-z');
+      expect(validateSchema('abc', { pattern: '^[a-z]+$' })).toEqual([]);
+    });
+  });
+
   describe('validateType', () => {
     describe('string', () => {
       it('should validate string', () => {